@@ -0,0 +1,266 @@
+'use strict';
+// Legacy API import
+const { usb } = require('usb');
+
+const AdapterType = {
+	DAPLINK: 'daplink',
+	STLINK_V2: 'stlink_v2',
+	JLINK: 'jlink'
+};
+
+// Supported debuggers
+const ADAPTER_INFO = [
+	{
+		type: AdapterType.DAPLINK,
+		displayName: 'DAPLink',
+		usbVendorId: 0x0d28,
+		usbProductId: 0x0204,
+		interfaceConfig: 'cmsis-dap.cfg',
+		serialParam: 'cmsis_dap_serial',
+		transport: 'swd',
+		platformMcu: ['nrf52840', 'stm32f2xx', 'rtl872x']
+	},
+	{
+		// Support for hs-probe: https://github.com/probe-rs/hs-probe
+		// supports usb bulk (v2)
+		type: AdapterType.DAPLINK,
+		displayName: 'hs-probe',
+		usbVendorId: 0x1209,
+		usbProductId: 0x4853,
+		interfaceConfig: 'cmsis-dap.cfg',
+		serialParam: 'cmsis_dap_serial',
+		transport: 'swd',
+		platformMcu: ['nrf52840', 'stm32f2xx', 'rtl872x']
+	},
+	{
+		type: AdapterType.STLINK_V2,
+		displayName: 'ST-LINK/V2',
+		usbVendorId: 0x0483,
+		usbProductId: 0x3748,
+		interfaceConfig: 'stlink-v2.cfg', // Deprecated in recent versions of OpenOCD
+		serialParam: 'hla_serial',
+		transport: 'hla_swd',
+		platformMcu: ['stm32f2xx']
+	},
+	{
+		type: AdapterType.JLINK,
+		displayName: 'JLink',
+		usbVendorId: 0x1366,
+		usbProductId: 0x0101,
+		interfaceConfig: 'jlink.cfg',
+		serialParam: 'jlink serial',
+		transport: 'swd',
+		platformMcu: ['nrf52840', 'stm32f2xx', 'rtl872x']
+	},
+	{
+		type: AdapterType.JLINK,
+		displayName: 'JLink (NRFDK)',
+		usbVendorId: 0x1366,
+		usbProductId: 0x1015,
+		interfaceConfig: 'jlink.cfg',
+		serialParam: 'jlink serial',
+		transport: 'swd',
+		platformMcu: ['nrf52840', 'stm32f2xx', 'rtl872x']
+	}
+];
+
+// Supported MCUs. Besides the generic properties of each MCU, the entries contain the
+// configuration specific to each of the debugger-based flash interfaces
+const MCU_INFO = [
+	{
+		baseMcu: 'stm32f2xx',
+		targetConfig: 'stm32f2x.cfg',
+		jlinkDevice: 'STM32F205RG',
+		probeRsChip: 'STM32F205RGTx',
+		cpuPartNumber: 0xc23, // Cortex-M3
+		mcuManufacturer: 'STMicroelectronics', // JEDEC manufacturer string
+		deviceIdAddress: 0x1fff7a10, // UID
+		// By default, Device OS for Gen 2 platforms is built without support for JTAG/SWD debugging,
+		// so the target device needs to be reset when attaching to it with a debugger
+		assertSrstOnConnect: true,
+		// The bootloader's sector in flash may be locked
+		unlockFlash: true,
+		massEraseProcedure: 'stm32f2x unlock 0; stm32f2x mass_erase 0'
+	},
+	{
+		baseMcu: 'nrf52840',
+		targetConfig: 'nrf52.cfg',
+		jlinkDevice: 'nRF52840_xxAA',
+		probeRsChip: 'nRF52840_xxAA',
+		cpuPartNumber: 0xc24, // Cortex-M4
+		nrfFamily: 'NRF52',
+		mcuManufacturer: 'Nordic VLSI ASA',
+		deviceIdAddress: 0x10000060, // FICR
+		deviceIdPrefix: 'e00fce68',
+		massEraseProcedure: 'nrf5 mass_erase'
+	},
+	{
+		baseMcu: 'rtl872x',
+		targetConfig: 'rtl872x.tcl',
+		cpuPartNumber: 0xd21, // Cortex-M33
+		mcuManufacturer: 'Realtek',
+		deviceIdProcedure: 'rtl872x_read_efuse_mac; rtl872x_wdg_reset',
+		deviceIdPrefix: '0a10aced2021',
+		deviceIdRegex: new RegExp(`MAC:\\s([A-Fa-f0-9]{2}):([A-Fa-f0-9]{2}):([A-Fa-f0-9]{2}):([A-Fa-f0-9]{2}):([A-Fa-f0-9]{2}):([A-Fa-f0-9]{2})`),
+		// FIXME: verification is disabled, it fails on some versions of OpenOCD
+		flashWriteProcedure: (binary, address) => {
+			return `rtl872x_flash_write_bin_ext ${binary} ${address} 1 1`;
+		},
+		resetRunProcedure: 'rtl872x_wdg_reset',
+		massEraseProcedure: 'rtl872x_flash_mass_erase'
+	}
+];
+
+const ADAPTER_INFO_BY_USB_ID = ADAPTER_INFO.reduce((map, info) =>
+	map.set(makeUsbDeviceId(info.usbVendorId, info.usbProductId), info), new Map());
+const MCU_INFO_BY_NAME = MCU_INFO.reduce((map, info) => map.set(info.baseMcu, info), new Map());
+
+function getMcuInfo(mcu) {
+	const info = MCU_INFO_BY_NAME.get(mcu);
+	if (!info) {
+		throw new Error(`Unknown MCU: ${mcu}`);
+	}
+	return info;
+}
+
+function makeUsbDeviceId(vendorId, productId) {
+	return [vendorId, productId].map(id => id.toString(16).padStart(4, '0')).join(':');
+}
+
+// Returns the info of a supported debug adapter or null if the adapter is not known
+function adapterInfoForUsbId(vendorId, productId) {
+	return ADAPTER_INFO_BY_USB_ID.get(makeUsbDeviceId(vendorId, productId)) || null;
+}
+
+// Returns the supported debug adapters connected to the host. The adapters can be filtered by type,
+// serial number and USB port. Adapters on ignored ports are not opened
+async function listAdapters({ types = null, ignoredSerials = [], ignoredUsbPorts = [], log }) {
+	const adapters = [];
+	const usbDevs = usb.getDeviceList();
+	let lastIndex = 0;
+	for (const usbDev of usbDevs) {
+		const usbDesc = usbDev.deviceDescriptor;
+		const info = ADAPTER_INFO_BY_USB_ID.get(makeUsbDeviceId(usbDesc.idVendor, usbDesc.idProduct));
+		if (info && (!types || types.includes(info.type))) {
+			const usbPort = usbPortForUsbDev(usbDev);
+			if (usbPort && ignoredUsbPorts.includes(usbPort)) {
+				continue;
+			}
+			try {
+				const serial = await getAdapterSerial(usbDev, { log });
+				if (ignoredSerials.includes(serial)) {
+					log.verbose(`Ignoring adapter with serial ${serial} as requested`);
+					continue;
+				}
+				adapters.push({ info, serial, usbPort, index: ++lastIndex });
+			} catch (err) {
+				log.warn(err.message);
+			}
+		}
+	}
+	return adapters;
+}
+
+// Returns the serial numbers of the debug adapters that need to be ignored as specified via the
+// --openocd-ignore-adapter argument and the OPENOCD_IGNORE_ADAPTER environment variable
+function ignoredAdapterSerials(args) {
+	let serials = [];
+	if (args && args['openocd-ignore-adapter']) {
+		serials = [args['openocd-ignore-adapter']].flat();
+	}
+	if (process.env.OPENOCD_IGNORE_ADAPTER) {
+		serials = [...serials, ...process.env.OPENOCD_IGNORE_ADAPTER.split(':')];
+	}
+	return serials;
+}
+
+// Returns the USB port of a debug adapter identified by its USB IDs and serial number, or null if the
+// adapter is not found. Adapters on ignored ports are not opened; an adapter that is not found on the
+// other ports is assumed to be on one of the ignored ports
+async function findAdapterUsbPort({ vendorId, productId, serial = null, ignoredUsbPorts = [], log }) {
+	const candidates = [];
+	for (const usbDev of usb.getDeviceList()) {
+		const usbDesc = usbDev.deviceDescriptor;
+		const usbPort = usbPortForUsbDev(usbDev);
+		if (usbDesc.idVendor === vendorId && usbDesc.idProduct === productId && usbPort) {
+			candidates.push({ usbDev, usbPort });
+		}
+	}
+	if (candidates.length <= 1 || !serial) {
+		// The adapter cannot be told apart from other adapters of the same type without a serial number
+		return (candidates.length === 1) ? candidates[0].usbPort : null;
+	}
+	for (const { usbDev, usbPort } of candidates) {
+		if (ignoredUsbPorts.includes(usbPort)) {
+			continue;
+		}
+		try {
+			if (await getAdapterSerial(usbDev, { log }) === serial) {
+				return usbPort;
+			}
+		} catch (err) {
+			log.verbose(err.message);
+		}
+	}
+	const ignored = candidates.find(c => ignoredUsbPorts.includes(c.usbPort));
+	return ignored ? ignored.usbPort : null;
+}
+
+// Returns the location of a node-usb device in the form <bus>-<port>[.<port>...]
+function usbPortForUsbDev(usbDev) {
+	if (!usbDev.portNumbers) {
+		return null;
+	}
+	return usbDev.busNumber.toString() + '-' + usbDev.portNumbers.join('.');
+}
+
+async function getAdapterSerial(usbDev, { log }) {
+	return new Promise((resolve, reject) => {
+		try {
+			usbDev.open();
+		} catch (err) {
+			return reject(new Error(`Unable to open USB device: ${err.message}`));
+		}
+		const descIndex = usbDev.deviceDescriptor.iSerialNumber;
+		usbDev.controlTransfer(
+			usb.LIBUSB_ENDPOINT_IN, // bmRequestType
+			usb.LIBUSB_REQUEST_GET_DESCRIPTOR, // bRequest
+			(usb.LIBUSB_DT_STRING << 8) | descIndex, // wValue
+			0x0409, // wIndex (0x0409: English - United States)
+			255, // wLength
+			(err, buf) => {
+				try {
+					usbDev.close();
+				} catch (err) {
+					log.warn(err.message);
+				}
+				if (err) {
+					return reject(err);
+				}
+				// OpenOCD uses libusb_get_string_descriptor_ascii() which replaces non-ASCII characters with '?'
+				let serial = '';
+				for (let i = 2; i < buf.length; i += 2) { // Skip bLength and bDescriptorType fields
+					const c = buf[i];
+					if (c >= 0x80 || buf[i + 1]) { // Non-ASCII character
+						serial += '?';
+					} else if (c <= 0x20 || c === 0x7f) { // SPACE, DEL or a control character
+						serial += '\\x' + Number(c).toString(16).padStart(2, '0');
+					} else {
+						serial += String.fromCharCode(c);
+					}
+				}
+				resolve(serial);
+			}
+		);
+	});
+}
+
+module.exports = {
+	AdapterType,
+	ADAPTER_INFO,
+	adapterInfoForUsbId,
+	findAdapterUsbPort,
+	getMcuInfo,
+	ignoredAdapterSerials,
+	listAdapters
+};
@@ -6,6 +6,7 @@ const os = require('os');
 const path = require('path');
 
 const DEFAULT_API_URL = 'https://api.particle.io';
+const PRODUCT_DEVICES_PER_PAGE = 100;
 
 class ParticleApi {
 	constructor({ log }) {
@@ -31,17 +32,32 @@ class ParticleApi {
 		}
 	}
 
-	async getDevices() {
-		const resp = await this._api.listDevices({ auth: this._token });
-		return resp.body.map(dev => ({
+	// Returns the devices claimed to the user or, if a product ID or slug is specified, all devices
+	// in the product's fleet
+	async getDevices({ product = null } = {}) {
+		const toDevice = dev => ({
 			id: dev.id,
 			name: dev.name,
 			platformId: dev.platform_id
-		}));
+		});
+		if (!product) {
+			const resp = await this._api.listDevices({ auth: this._token });
+			return resp.body.map(toDevice);
+		}
+		const devs = [];
+		for (let page = 1; ; ++page) {
+			const resp = await this._api.listDevices({ product, page, perPage: PRODUCT_DEVICES_PER_PAGE, auth: this._token });
+			devs.push(...resp.body.devices.map(toDevice));
+			if (page >= resp.body.meta.total_pages) {
+				break;
+			}
+		}
+		this._log.debug(`Found ${devs.length} devices in product ${product}`);
+		return devs;
 	}
 
-	async getDevice(deviceId) {
-		const resp = await this._api.getDevice({ deviceId, auth: this._token });
+	async getDevice(deviceId, { product = null } = {}) {
+		const resp = await this._api.getDevice({ deviceId, product: product || undefined, auth: this._token });
 		return resp.body;
 	}
 
@@ -55,6 +71,26 @@ class ParticleApi {
 		});
 	}
 
+	// Locks a product device to the specified product firmware version
+	async lockProductFirmware(deviceId, productId, version) {
+		await this._api.lockDeviceProductFirmware({
+			deviceId: deviceId,
+			auth: this._token,
+			desiredFirmwareVersion: version,
+			flash: false,
+			product: productId
+		});
+	}
+
+	// Makes a product device receive the released product firmware again
+	async unlockProductFirmware(deviceId, productId) {
+		await this._api.unlockDeviceProductFirmware({
+			deviceId: deviceId,
+			auth: this._token,
+			product: productId
+		});
+	}
+
 	_loadApiSettings() {
 		let url = DEFAULT_API_URL;
 		let token = process.env.PARTICLE_TOKEN;
@@ -1,19 +1,27 @@
 'use strict';
 const { OpenOcdFlashInterface, OpenOcdDevice } = require('./openocd');
+const { JLinkFlashInterface, JLinkDevice } = require('./jlink');
+const { ProbeRsFlashInterface, ProbeRsDevice } = require('./probers');
 const { DfuFlashInterface } = require('./dfu');
-const { UsbFlashInterface } = require('./usb');
+const { UsbFlashInterface, usbPortForDevice } = require('./usb');
 const { ModuleCache } = require('./module');
+const { releaseSourceFromString } = require('./source');
 const { ParticleApi } = require('./api');
 const { Flasher } = require('./flasher');
+const { DeviceRegistry } = require('./registry');
+const { MODULE_TYPE_OPTIONS } = require('./config');
+const { makeRunReport } = require('./report');
 const { platformForId, platformForName, ModuleType } = require('./platform');
-const { isDeviceId } = require('./util');
+const { isDeviceId, toUInt32Hex, formatSize, delay } = require('./util');
 
 const usb = require('particle-usb');
+const { usb: usbLib } = require('usb');
 const tmp = require('tmp');
 const mkdirp = require('mkdirp');
 const semver = require('semver');
 const pLimit = require('p-limit');
 
+const EventEmitter = require('events');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
@@ -23,48 +31,112 @@ tmp.setGracefulCleanup();
 const DEFAULT_MAX_RETRIES = 2;
 const DEFAULT_MAX_JOBS = Infinity;
 
-class App {
+const DEVICE_REGISTRY_FILE = 'devices.json';
+
+const MAX_CONCURRENT_API_REQUESTS = 5;
+
+const WAIT_ONLINE_DEFAULT_TIMEOUT_SEC = 300;
+const WAIT_ONLINE_POLL_INTERVAL_MS = 5000;
+
+const WATCH_POLL_INTERVAL_MS = 1000;
+// Devices are enumerated for some time after a change in the list of USB devices, since a newly
+// attached device may not be ready to be opened right away
+const WATCH_SETTLE_TIME_MS = 5000;
+// A device that has not been seen for this long is considered unplugged
+const WATCH_UNPLUG_TIMEOUT_MS = 10000;
+
+// Prefixes of the device arguments that select devices by something other than ID or name
+const DEVICE_SELECTORS = ['usb', 'adapter', 'platform'];
+
+// Returns true if a local device matches a parsed device argument. Arguments specifying a device
+// name are matched after the name has been resolved to an ID
+function deviceMatchesArg(dev, arg) {
+	if (arg.id) {
+		return dev.id === arg.id;
+	}
+	if (arg.usbPort) {
+		return dev.usbPort === arg.usbPort;
+	}
+	if (arg.adapterSerial) {
+		return dev.serialNumber === arg.adapterSerial;
+	}
+	if (arg.platform) {
+		return dev.platformId === arg.platform;
+	}
+	return false;
+}
+
+function formatDeviceArg(arg) {
+	if (arg.usbPort) {
+		return `usb:${arg.usbPort}`;
+	}
+	if (arg.adapterSerial) {
+		return `adapter:${arg.adapterSerial}`;
+	}
+	if (arg.platform) {
+		return `platform:${platformForId(arg.platform).name}`;
+	}
+	return arg.id || arg.name;
+}
+
+// Emits the following events:
+//   progress: Flashing progress. See _emitProgress() for the list of event types.
+class App extends EventEmitter {
 	constructor({ name, log }) {
+		super();
 		this._log = log;
 		this._name = name;
 		this._ocd = null;
+		this._jlink = null;
+		this._probeRs = null;
 		this._dfu = null;
 		this._usb = null;
 		this._cache = null;
 		this._api = null;
+		this._registry = null;
+		this._product = null;
 		this._homeDir = null;
 		this._tempDir = null;
+		this._flashers = [];
+		this._cloudStatus = new Map(); // Results of the post-flash cloud check by device ID
+		this._startTime = null;
+		this._watching = false;
+		this._wakeWatcher = null;
 	}
 
 	async init(args) {
 		if (args.draft && !process.env.GITHUB_TOKEN) {
 			throw new Error('GitHub API token is required to download a draft release');
 		}
+		if (args._[0] === 'cache') {
+			await this._initModuleCache();
+			await this._runCacheCommand(args);
+			return;
+		}
+		const productOptions = this._parseProductArgs(args);
+		if (args._[0] === 'devices') {
+			this._initDeviceRegistry();
+			await this._runDevicesCommand(args);
+			return;
+		}
 		// Parse arguments
-		const verOrPath = this._parseVersionOrPathArg(args);
+		if ([args.openocd, args.jlink, args['probe-rs']].filter(arg => !!arg).length > 1) {
+			throw new RangeError('Only one of --openocd, --jlink and --probe-rs can be used');
+		}
+		// The flash memory can be erased without flashing anything
+		const verOrPath = this._parseVersionOrPathArg(args, { optional: !!args.erase && !args['factory-reset'] });
 		const devArgs = this._parseDeviceArgs(args);
 		const maxRetries = this._parseMaxRetriesArg(args);
 		const maxJobs = this._parseMaxJobsArg(args);
-		// Create home and temp directories
-		this._homeDir = path.join(os.homedir(), '.particle', this._name);
-		mkdirp.sync(this._homeDir);
-		this._tempDir = tmp.dirSync({
-			prefix: this._name + '-',
-			unsafeCleanup: true // Remove the directory even if it's not empty
-		}).name;
-		// Initialize module cache
-		this._log.info('Initializing module cache');
-		this._cache = new ModuleCache({
-			cacheDir: path.join(this._homeDir, 'binaries'),
-			tempDir: this._tempDir,
-			log: this._log
-		});
-		await this._cache.init();
+		const releaseSource = this._parseReleaseSourceArg(args);
+		const erase = this._parseEraseArgs(args);
+		this._initDeviceRegistry();
+		await this._initModuleCache({ source: releaseSource });
 		// Get module binaries
 		let modules = [];
 		if (verOrPath) {
 			modules = await this._getModules(verOrPath, { noCache: !args.cache, draft: args.draft });
-			modules = this._filterModules(modules, args);
+			modules = args['factory-reset'] ? this._factoryResetModules(modules) : this._filterModules(modules, args);
 		}
 		// Initialize flash interface
 		this._log.info('Initializing flash interface');
@@ -72,28 +144,78 @@ class App {
 			this._ocd = new OpenOcdFlashInterface({ log: this._log });
 			await this._ocd.init(args);
 		}
+		if (args.jlink) {
+			this._jlink = new JLinkFlashInterface({ log: this._log });
+			await this._jlink.init(args);
+		}
+		if (args['probe-rs']) {
+			this._probeRs = new ProbeRsFlashInterface({ log: this._log });
+			await this._probeRs.init(args);
+		}
 		if (!args.control) {
 			this._dfu = new DfuFlashInterface({ log: this._log });
 			await this._dfu.init();
 		}
 		this._usb = new UsbFlashInterface({ log: this._log });
 		await this._usb.init();
+		const flashOptions = {
+			maxRetries,
+			verify: args.verify,
+			skipCurrent: args['skip-current'],
+			force: args.force,
+			erase,
+			validate: args.validate,
+			waitOnline: this._parseWaitOnlineArg(args, { verOrPath, modules })
+		};
+		if (args.watch) {
+			if (args['dry-run']) {
+				throw new RangeError('--dry-run cannot be used in watch mode');
+			}
+			this._startTime = new Date();
+			try {
+				await this._watchDevices(modules, {
+					devArgs,
+					maxJobs,
+					markDevelopment: args['mark-development'],
+					productOptions,
+					...flashOptions
+				});
+			} finally {
+				if (args.report) {
+					this._saveReport(args.report);
+				}
+			}
+			this._log.info('Done');
+			return;
+		}
 		// Get target devices
 		this._log.info('Enumerating local devices');
 		let devs = await this._listLocalDevices({ maxRetries, maxJobs });
 		devs = await this._getTargetDevices(devs, devArgs);
+		if (args['dry-run']) {
+			this._log.info('Flash plan (dry run)');
+			await this._printFlashPlan(devs, modules, { skipCurrent: args['skip-current'], force: args.force, erase });
+			this._log.info('Done');
+			return;
+		}
 		if (args['mark-development']) {
 			await this._markLocalDevicesAsDevelopment(devs);
 		}
 		// Flash module binaries
 		this._log.info('Flashing target devices');
-		const flashers = await this._flashDevices(devs, modules, { maxRetries, maxJobs });
+		const flashers = await this._flashTargetDevices(devs, modules, {
+			maxJobs,
+			productOptions,
+			reportPath: args.report,
+			...flashOptions
+		});
 		// Save debugger mapping if requested
 		if (args['openocd-adapter-save']) {
 			const mapping = {};
 			for (const f of flashers) {
 				const dev = f.device;
-				if (dev instanceof OpenOcdDevice && dev.id && dev.serialNumber) {
+				const debugDev = (dev instanceof OpenOcdDevice || dev instanceof JLinkDevice || dev instanceof ProbeRsDevice);
+				if (debugDev && dev.id && dev.serialNumber) {
 					mapping[dev.id] = dev.serialNumber;
 				}
 			}
@@ -104,6 +226,28 @@ class App {
 		this._log.info('Done');
 	}
 
+	// Stops the watch mode. The devices that are being flashed are flashed to completion
+	stopWatching() {
+		if (this._watching) {
+			this._watching = false;
+			if (this._wakeWatcher) {
+				this._wakeWatcher();
+			}
+		}
+	}
+
+	get isWatching() {
+		return this._watching;
+	}
+
+	// Results of flashing the devices, or null if flashing has not started
+	get report() {
+		if (!this._startTime) {
+			return null;
+		}
+		return makeRunReport({ flashers: this._flashers, cloudStatus: this._cloudStatus, startTime: this._startTime });
+	}
+
 	async shutdown() {
 		try {
 			if (this._api) {
@@ -126,43 +270,229 @@ class App {
 				await this._ocd.shutdown();
 				this._ocd = null;
 			}
+			if (this._jlink) {
+				await this._jlink.shutdown();
+				this._jlink = null;
+			}
+			if (this._probeRs) {
+				await this._probeRs.shutdown();
+				this._probeRs = null;
+			}
 		} catch (err) {
 			this._log.warn(err.message);
 		}
 	}
 
-	async _flashDevices(devs, modules, { maxRetries = 0, maxJobs = Infinity } = {}) {
-		const flashers = [];
-		this._log.verbose('Target devices:');
-		for (let i = 0; i < devs.length; ++i) {
-			const dev = devs[i];
-			const platform = platformForId(dev.platformId);
-			this._log.verbose(`${i + 1}. ${dev.id} (${platform.displayName})`);
-			const name = 'device_' + (i + 1).toString();
-			const log = this._log.addTag(`[Device ${i + 1}]`);
-			dev.log = log;
-			const f = new Flasher({
-				name,
-				device: dev,
-				dfu: this._dfu,
-				usb: this._usb,
-				tempDir: this._tempDir,
-				log
-			});
-			flashers.push(f);
+	async _initModuleCache({ source = null } = {}) {
+		// Create home and temp directories
+		this._homeDir = path.join(os.homedir(), '.particle', this._name);
+		mkdirp.sync(this._homeDir);
+		this._tempDir = tmp.dirSync({
+			prefix: this._name + '-',
+			unsafeCleanup: true // Remove the directory even if it's not empty
+		}).name;
+		// Initialize module cache
+		this._log.info('Initializing module cache');
+		this._cache = new ModuleCache({
+			cacheDir: path.join(this._homeDir, 'binaries'),
+			tempDir: this._tempDir,
+			source,
+			log: this._log
+		});
+		await this._cache.init();
+	}
+
+	async _runCacheCommand(args) {
+		const [, cmd, ...cmdArgs] = args._;
+		switch (cmd) {
+			case 'list': {
+				const releases = await this._cache.listCachedReleases();
+				if (!releases.length) {
+					this._log.info('Cache is empty');
+					break;
+				}
+				for (const r of releases) {
+					const platforms = r.platforms.map(p => `${p.name} (${p.files} files, ${formatSize(p.size)})`);
+					this._log.info(`${r.version}: ${formatSize(r.size)}\n   ${platforms.join(', ')}`);
+				}
+				break;
+			}
+			case 'prune': {
+				const keep = args.keep;
+				if (!Number.isInteger(keep) || keep < 0) {
+					throw new RangeError('Number of releases to keep is not specified');
+				}
+				const versions = await this._cache.pruneCachedReleases({ keep });
+				for (const ver of versions) {
+					this._log.info('Removed', ver);
+				}
+				if (!versions.length) {
+					this._log.info('Nothing to remove');
+				}
+				break;
+			}
+			case 'remove': {
+				if (!cmdArgs.length) {
+					throw new RangeError('Release version is not specified');
+				}
+				for (const arg of cmdArgs) {
+					const ver = this._parseVersionArg(arg);
+					await this._cache.removeCachedRelease(ver);
+					this._log.info('Removed', ver);
+				}
+				break;
+			}
+			case 'verify': {
+				const versions = cmdArgs.length ? cmdArgs.map(arg => this._parseVersionArg(arg)) : null;
+				const problems = await this._cache.verifyCachedReleases({ versions });
+				if (problems.length) {
+					for (const p of problems) {
+						this._log.error(`${p.version}/${p.file}: ${p.message}`);
+					}
+					throw new Error(`Found ${problems.length} invalid module binaries; use "cache remove <version>" to remove them`);
+				}
+				this._log.info('All cached module binaries are valid');
+				break;
+			}
+			case 'import': {
+				if (!cmdArgs.length) {
+					throw new RangeError('Path to module binaries is not specified');
+				}
+				if (!args.as) {
+					throw new RangeError('Release version is not specified; use --as=<version>');
+				}
+				const ver = this._parseVersionArg(args.as);
+				const mods = await this._cache.importRelease(cmdArgs[0], ver);
+				this._log.info(`Imported ${mods.length} module binaries as ${ver}`);
+				break;
+			}
+			default: {
+				throw new RangeError(cmd ? `Unknown cache command: ${cmd}` : 'Cache command is not specified');
+			}
+		}
+	}
+
+	_initDeviceRegistry() {
+		this._registry = new DeviceRegistry({
+			file: path.join(os.homedir(), '.particle', this._name, DEVICE_REGISTRY_FILE),
+			log: this._log
+		});
+		this._registry.load();
+	}
+
+	async _runDevicesCommand(args) {
+		const [, cmd, ...cmdArgs] = args._;
+		switch (cmd) {
+			case 'list': {
+				const devs = this._registry.devices;
+				if (!devs.length) {
+					this._log.info('No devices registered');
+					break;
+				}
+				for (const dev of devs) {
+					const platform = dev.platformId ? platformForId(dev.platformId).name : 'unknown platform';
+					this._log.info(`${dev.name}: ${dev.id} (${platform})`);
+				}
+				break;
+			}
+			case 'add': {
+				const [id, name, platformName] = cmdArgs;
+				if (!id || !name) {
+					throw new RangeError('Device ID and name are not specified');
+				}
+				const platformId = platformName ? platformForName(platformName).id : null;
+				const added = this._registry.add({ id, name, platformId });
+				this._registry.save();
+				this._log.info(added ? 'Added' : 'Updated', `${name}: ${id}`);
+				break;
+			}
+			case 'remove': {
+				if (!cmdArgs.length) {
+					throw new RangeError('Device ID or name is not specified');
+				}
+				for (const arg of cmdArgs) {
+					const dev = this._registry.remove(arg);
+					if (!dev) {
+						throw new Error(`Device not found in registry: ${arg}`);
+					}
+					this._log.info('Removed', `${dev.name}: ${dev.id}`);
+				}
+				this._registry.save();
+				break;
+			}
+			case 'sync': {
+				// Add all devices of the user's account to the registry
+				this._log.info('Getting device info from the cloud');
+				const api = await this._particleApi();
+				const userDevs = await api.getDevices({ product: this._product });
+				let count = 0;
+				for (const dev of userDevs) {
+					if (!dev.name) {
+						continue;
+					}
+					this._registry.add(dev);
+					++count;
+				}
+				this._registry.save();
+				this._log.info(`Saved ${count} devices to ${this._registry.file}`);
+				break;
+			}
+			default: {
+				throw new RangeError(cmd ? `Unknown devices command: ${cmd}` : 'Devices command is not specified');
+			}
+		}
+	}
+
+	// Updates the product firmware settings of the devices that have been flashed successfully even
+	// if some of the devices could not be flashed
+	async _flashTargetDevices(devs, modules, { productOptions, reportPath = null, ...options }) {
+		this._startTime = new Date();
+		const flashedDevs = [];
+		let result = null;
+		let error = null;
+		try {
+			result = await this._flashDevices(devs, modules, { flashedDevs, ...options });
+		} catch (err) {
+			error = err;
+		}
+		if (options.waitOnline) {
+			this._logCloudStatusSummary();
+		}
+		if (reportPath) {
+			this._saveReport(reportPath);
 		}
+		try {
+			await this._updateProductFirmware(flashedDevs, productOptions);
+		} catch (err) {
+			if (!error) {
+				throw err;
+			}
+			// Do not replace the flashing error
+			this._log.warn('Failed to update product firmware', err.message);
+		}
+		if (error) {
+			throw error;
+		}
+		return result;
+	}
+
+	// The devices that have been flashed successfully are added to `flashedDevs`
+	async _flashDevices(devs, modules, { maxJobs = Infinity, flashedDevs = [], ...options } = {}) {
+		const flashers = this._createFlashers(devs);
+		this._flashers = flashers;
 		let error = null; // First error
 		const limit = pLimit(maxJobs);
-		const promises = flashers.map(f => limit(async () => {
+		const promises = flashers.map(async f => {
 			try {
-				await f.run(modules, { maxRetries });
+				await this._runFlasher(f, modules, { limit, ...options });
+				flashedDevs.push(f.device);
 			} catch (err) {
 				f.log.error(err.message);
 				if (!error) {
 					error = err;
 				}
 			}
-		}));
+		});
 		await Promise.all(promises);
 		if (error) {
 			throw error;
@@ -170,6 +500,395 @@ class App {
 		return flashers;
 	}
 
+	async _watchDevices(modules, { devArgs, maxJobs = Infinity, markDevelopment = false, productOptions = {}, ...options }) {
+		if (devArgs.some(arg => arg.name)) {
+			devArgs = await this._resolveDeviceNames(devArgs);
+		}
+		const flashIf = this._ocd || this._jlink || this._probeRs || this._dfu || this._usb;
+		const knownDevs = new Map(); // Known devices by device ID
+		const identifyingAdapters = new Set(); // Serial numbers of the debug adapters whose target is being identified
+		let presentDevIds = new Set(); // IDs of the devices found during last enumeration
+		let lastUsbDevs = null;
+		let enumerateUntil = 0;
+		let devCount = 0;
+		let failedCount = 0;
+		const limit = pLimit(maxJobs);
+		const promises = [];
+		// Devices that are being flashed must not be opened by anything else
+		const busyUsbPorts = () => Array.from(knownDevs.values()).filter(d => d.busy && d.usbPort).map(d => d.usbPort);
+		const flashOptions = { devArgs, markDevelopment, productOptions, ignoredUsbPorts: busyUsbPorts, limit, ...options };
+		const flashDevice = async (dev, knownDev) => {
+			try {
+				await this._flashWatchedDevice(dev, ++devCount, modules, flashOptions);
+			} catch (err) {
+				dev.log.error(err.message);
+				++failedCount;
+			} finally {
+				knownDev.busy = false;
+				knownDev.lastSeen = Date.now();
+			}
+		};
+		// The ID of a device connected via a debug adapter is not known until the device is opened
+		const identifyAndFlashDevice = async dev => {
+			const serial = dev.serialNumber;
+			try {
+				await limit(() => this._readWatchedDeviceId(dev, options));
+			} catch (err) {
+				dev.log.warn(err.message);
+				return;
+			} finally {
+				identifyingAdapters.delete(serial);
+			}
+			// The board attached to the adapter may have been replaced with another one
+			for (const [id, knownDev] of knownDevs) {
+				if (knownDev.adapterSerial === serial && id !== dev.id && !knownDev.busy) {
+					knownDevs.delete(id);
+				}
+			}
+			let knownDev = knownDevs.get(dev.id);
+			if (knownDev) {
+				knownDev.lastSeen = Date.now();
+				return;
+			}
+			knownDev = { busy: true, lastSeen: Date.now(), usbPort: dev.usbPort, adapterSerial: serial };
+			knownDevs.set(dev.id, knownDev);
+			presentDevIds.add(dev.id);
+			await flashDevice(dev, knownDev);
+		};
+		this._watching = true;
+		this._log.info('Waiting for devices; press Ctrl+C to stop');
+		while (this._watching) {
+			const now = Date.now();
+			const usbDevs = usbLib.getDeviceList().map(d => `${d.busNumber}:${d.deviceAddress}`).sort().join(',');
+			if (usbDevs !== lastUsbDevs) {
+				lastUsbDevs = usbDevs;
+				enumerateUntil = now + WATCH_SETTLE_TIME_MS;
+			}
+			let devs = null;
+			if (now < enumerateUntil) {
+				const ignoredUsbPorts = busyUsbPorts();
+				try {
+					devs = await flashIf.listDevices({ ignoredUsbPorts });
+					devs = devs.filter(dev => !dev.usbPort || !ignoredUsbPorts.includes(dev.usbPort));
+				} catch (err) {
+					this._log.warn(err.message);
+				}
+			}
+			if (devs) {
+				presentDevIds = new Set();
+				for (const [id, knownDev] of knownDevs) {
+					if (knownDev.busy) {
+						presentDevIds.add(id); // Busy devices are not enumerated
+					}
+				}
+				for (const dev of devs) {
+					if (!dev.id) {
+						const serial = dev.serialNumber;
+						for (const [id, knownDev] of knownDevs) {
+							if (knownDev.adapterSerial === serial) {
+								presentDevIds.add(id); // Until the target is identified again
+							}
+						}
+						if (!identifyingAdapters.has(serial)) {
+							identifyingAdapters.add(serial);
+							promises.push(identifyAndFlashDevice(dev));
+						}
+						continue;
+					}
+					presentDevIds.add(dev.id);
+					if (knownDevs.has(dev.id)) {
+						continue;
+					}
+					const knownDev = { busy: true, lastSeen: now, usbPort: dev.usbPort, adapterSerial: null };
+					knownDevs.set(dev.id, knownDev);
+					promises.push(flashDevice(dev, knownDev));
+				}
+			}
+			for (const [id, knownDev] of knownDevs) {
+				if (presentDevIds.has(id)) {
+					knownDev.lastSeen = now;
+				} else if (!knownDev.busy && now - knownDev.lastSeen >= WATCH_UNPLUG_TIMEOUT_MS) {
+					this._log.debug('Device unplugged:', id);
+					knownDevs.delete(id); // Flash the device again if it's plugged back in
+				}
+			}
+			await new Promise(resolve => {
+				this._wakeWatcher = resolve;
+				setTimeout(resolve, WATCH_POLL_INTERVAL_MS);
+			});
+			this._wakeWatcher = null;
+		}
+		if (Array.from(knownDevs.values()).some(d => d.busy)) {
+			this._log.info('Waiting for the devices that are being flashed');
+		}
+		await Promise.all(promises);
+		if (failedCount) {
+			throw new Error(`Failed to flash ${failedCount} device(s)`);
+		}
+	}
+
+	async _readWatchedDeviceId(dev, { maxRetries = 0 }) {
+		let retries = maxRetries;
+		for (;;) {
+			try {
+				await dev.open();
+				break;
+			} catch (err) {
+				if (!retries) {
+					throw err;
+				}
+				dev.log.warn(err.message);
+				dev.log.warn('Retrying');
+				--retries;
+			} finally {
+				await dev.close();
+			}
+		}
+	}
+
+	// `ignoredUsbPorts` is a function returning the USB ports of the devices that are being flashed
+	async _flashWatchedDevice(dev, index, modules, { devArgs, markDevelopment, productOptions, ignoredUsbPorts, ...options }) {
+		dev.log = this._log.addTag(`[Device ${index}]`);
+		if (!dev.platformId) {
+			const devPlatforms = await this._getUsbDevicePlatforms({ ignoredUsbPorts: ignoredUsbPorts() });
+			if (devPlatforms.has(dev.id)) {
+				dev.platformId = devPlatforms.get(dev.id);
+			} else if (devArgs.some(arg => arg.platform)) {
+				await this._getTargetDevices([dev], []); // Get the platform from the cloud
+			}
+		}
+		const devArgsForDev = devArgs.filter(arg => deviceMatchesArg(dev, arg));
+		if (devArgs.length && !devArgsForDev.length) {
+			dev.log.verbose('Ignoring device:', dev.id);
+			return;
+		}
+		await this._getTargetDevices([dev], devArgsForDev);
+		const platform = platformForId(dev.platformId);
+		dev.log.info(`Device attached: ${dev.id} (${platform.displayName})`);
+		if (markDevelopment) {
+			await this._markLocalDevicesAsDevelopment([dev]);
+		}
+		const f = this._createFlasher(dev, index);
+		this._flashers.push(f);
+		const startTime = Date.now();
+		await this._runFlasher(f, modules, options);
+		dev.log.info(`Finished flashing ${dev.id} in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+		await this._updateProductFirmware([dev], productOptions);
+	}
+
+	// Only flashing takes a job slot of `limit`; waiting for the device to come online doesn't
+	async _runFlasher(flasher, modules, { limit = fn => fn(), waitOnline = null, ...options }) {
+		const dev = flasher.device;
+		try {
+			// The cloud may keep reporting the device as online until it notices that the device was reset
+			const lastHeard = waitOnline ? await this._getLastHeard(dev) : null;
+			await limit(async () => {
+				this._emitProgress('device-start', { device: dev });
+				await flasher.run(modules, options);
+			});
+			if (waitOnline) {
+				await this._waitForDeviceOnline(dev, { ...waitOnline, lastHeard });
+			}
+		} catch (err) {
+			this._emitProgress('device-done', { device: dev, ok: false, error: err.message });
+			throw err;
+		}
+		this._emitProgress('device-done', { device: dev, ok: true, error: null });
+	}
+
+	// Event types:
+	//   device-start: Flashing of a device has started.
+	//   module-start: Flashing of a module has started. Has `file` and `moduleType` properties.
+	//   progress: Progress of flashing a module. Has `file`, `moduleType`, `bytes` and `total` properties.
+	//   module-done: A module has been flashed. Has `file`, `moduleType`, `durationMs` and `verified`
+	//     properties.
+	//   reset: The device is about to be reset.
+	//   erase: The flash memory of the device is about to be erased.
+	//   retry: An operation has failed and is going to be retried. Has `file`, `moduleType` and `error`
+	//     properties. `file` and `moduleType` are null if the error is not related to a particular module.
+	//   wait-online: The device has been flashed and is expected to come online in the cloud.
+	//   device-done: Flashing of a device has finished. Has `ok` and `error` properties.
+	// All events have `deviceId` and `platformId` properties.
+	_emitProgress(type, { device, ...props }) {
+		this.emit('progress', {
+			type,
+			deviceId: device.id,
+			platformId: device.platformId,
+			...props
+		});
+	}
+
+	async _resolveDeviceNames(devArgs) {
+		const findDevice = name => this._registry && this._registry.findByName(name);
+		let userDevs = [];
+		if (devArgs.some(arg => arg.name && !findDevice(arg.name))) {
+			this._log.info('Getting device info from the cloud');
+			const api = await this._particleApi();
+			userDevs = await api.getDevices({ product: this._product });
+		}
+		return devArgs.map(arg => {
+			if (!arg.name) {
+				return arg;
+			}
+			const dev = findDevice(arg.name) || userDevs.find(d => d.name === arg.name);
+			if (!dev) {
+				throw new Error(`Unknown device: ${arg.name}`);
+			}
+			return { id: dev.id, platformId: arg.platformId || dev.platformId };
+		});
+	}
+
+	// Returns the time the device was last heard of by the cloud, or null if unknown
+	async _getLastHeard(dev) {
+		try {
+			const api = await this._particleApi();
+			const cloudDev = await api.getDevice(dev.id, { product: this._product });
+			return cloudDev.last_heard ? Date.parse(cloudDev.last_heard) : null;
+		} catch (err) {
+			dev.log.verbose(`Failed to get device info: ${err.message}`);
+			return null;
+		}
+	}
+
+	// Waits until the device comes online in the cloud and reports the expected Device OS version.
+	// `lastHeard` is the time the device was last heard of before it was flashed
+	async _waitForDeviceOnline(dev, { timeout, version = null, lastHeard = null }) {
+		dev.log.info('Waiting for the device to come online');
+		this._emitProgress('wait-online', { device: dev });
+		const api = await this._particleApi();
+		const startTime = Date.now();
+		const result = { status: 'timed-out', version: null };
+		this._cloudStatus.set(dev.id, result);
+		for (;;) {
+			let cloudDev = null;
+			try {
+				cloudDev = await api.getDevice(dev.id, { product: this._product });
+			} catch (err) {
+				dev.log.verbose(`Failed to get device info: ${err.message}`);
+			}
+			if (cloudDev && cloudDev.online && (!lastHeard || (cloudDev.last_heard && Date.parse(cloudDev.last_heard) > lastHeard))) {
+				result.version = cloudDev.system_firmware_version || null;
+				if (!version || result.version === version) {
+					result.status = 'online';
+					dev.log.info(`Device is online${result.version ? ` (Device OS ${result.version})` : ''}`);
+					return;
+				}
+				result.status = 'wrong-version'; // The device may not have sent its updated info yet
+			}
+			const timeLeft = timeout - (Date.now() - startTime);
+			if (timeLeft <= 0) {
+				break;
+			}
+			await delay(Math.min(timeLeft, WAIT_ONLINE_POLL_INTERVAL_MS));
+		}
+		if (result.status === 'wrong-version') {
+			throw new Error(`Device is online but reports Device OS ${result.version}; expected ${version}`);
+		}
+		throw new Error('Timed out waiting for the device to come online');
+	}
+
+	_logCloudStatusSummary() {
+		const results = Array.from(this._cloudStatus.values());
+		const online = results.filter(r => r.status === 'online').length;
+		const wrongVersion = results.filter(r => r.status === 'wrong-version').length;
+		const timedOut = results.filter(r => r.status === 'timed-out').length;
+		this._log.info(`Devices online: ${online}; wrong version: ${wrongVersion}; timed out: ${timedOut}`);
+	}
+
+	_saveReport(reportPath) {
+		const report = this.report;
+		try {
+			fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+			this._log.info(`Report saved to ${reportPath}`);
+		} catch (err) {
+			this._log.error(`Unable to save report: ${err.message}`);
+		}
+	}
+
+	async _printFlashPlan(devs, modules, options) {
+		let error = null; // First error
+		const flashers = this._createFlashers(devs);
+		for (const f of flashers) {
+			const dev = f.device;
+			const platform = platformForId(dev.platformId);
+			f.log.info(`${dev.id} (${platform.displayName})`);
+			let plan = null;
+			try {
+				plan = await f.plan(modules, options);
+			} catch (err) {
+				f.log.error(err.message);
+				if (!error) {
+					error = err;
+				}
+				continue;
+			}
+			const { flashModules, otaModules, skippedModules } = plan;
+			for (const m of skippedModules) {
+				f.log.info(`Already installed: ${m.file}`);
+			}
+			if (!flashModules.length && !otaModules.length) {
+				f.log.info('Nothing to flash');
+				continue;
+			}
+			if (options.erase) {
+				f.log.info('0. Erase entire flash memory');
+			}
+			const steps = [
+				...flashModules.map(m => ({ m, method: `writeToFlash (${dev.interfaceType})` })),
+				...otaModules.map(m => ({ m, method: 'flashModule (control request)' }))
+			];
+			for (let i = 0; i < steps.length; ++i) {
+				const { m, method } = steps[i];
+				let line = `${i + 1}. ${m.file}\n   type: ${m.type}; index: ${m.index}; version: ${m.version}; ` +
+						`method: ${method}; storage: ${m.storage}; address: ${toUInt32Hex(m.address)}`;
+				if (m.dropHeader) {
+					line += ' (header dropped)';
+				}
+				f.log.info(line);
+			}
+		}
+		if (error) {
+			throw error;
+		}
+	}
+
+	_createFlashers(devs) {
+		const flashers = [];
+		this._log.verbose('Target devices:');
+		for (let i = 0; i < devs.length; ++i) {
+			const dev = devs[i];
+			const platform = platformForId(dev.platformId);
+			this._log.verbose(`${i + 1}. ${dev.id} (${platform.displayName})`);
+			flashers.push(this._createFlasher(dev, i + 1));
+		}
+		return flashers;
+	}
+
+	_createFlasher(dev, index) {
+		const log = this._log.addTag(`[Device ${index}]`);
+		dev.log = log;
+		const f = new Flasher({
+			name: 'device_' + index.toString(),
+			device: dev,
+			dfu: this._dfu,
+			usb: this._usb,
+			tempDir: this._tempDir,
+			log
+		});
+		const moduleProps = m => m ? { file: path.basename(m.file), moduleType: m.type } : { file: null, moduleType: null };
+		f.on('module-start', ({ module }) => this._emitProgress('module-start', { device: dev, ...moduleProps(module) }));
+		f.on('progress', ({ module, bytes, total }) => {
+			this._emitProgress('progress', { device: dev, ...moduleProps(module), bytes, total });
+		});
+		f.on('module-done', ({ module, duration, verified }) => {
+			this._emitProgress('module-done', { device: dev, ...moduleProps(module), durationMs: duration, verified });
+		});
+		f.on('reset', () => this._emitProgress('reset', { device: dev }));
+		f.on('erase', () => this._emitProgress('erase', { device: dev }));
+		f.on('retry', ({ module, error }) => this._emitProgress('retry', { device: dev, ...moduleProps(module), error }));
+		return f;
+	}
+
 	async _getTargetDevices(localDevs, devArgs) {
 		const unknownPlatformDevIds = new Set(); // IDs of devices with unknown platform
 		const devMap = new Map(); // Local devices by ID
@@ -181,26 +900,49 @@ class App {
 		}
 		const argDevIds = new Set(); // Device IDs passed via command line
 		const argDevNames = new Set(); // Device names passed via command line
+		const argPlatformIds = new Set(); // Platforms passed via command line
 		for (const arg of devArgs) {
-			if (arg.id) {
-				const dev = devMap.get(arg.id);
+			if (arg.name) {
+				argDevNames.add(arg.name);
+			} else if (arg.platform) {
+				argPlatformIds.add(arg.platform);
+			} else {
+				const dev = localDevs.find(dev => deviceMatchesArg(dev, arg));
 				if (!dev) {
-					throw new Error(`Device not found: ${arg.id}`);
+					throw new Error(`Device not found: ${formatDeviceArg(arg)}`);
 				}
 				if (!dev.platformId && arg.platformId) {
 					dev.platformId = arg.platformId; // Platform hint
-					unknownPlatformDevIds.delete(arg.id);
+					unknownPlatformDevIds.delete(dev.id);
+				}
+				argDevIds.add(dev.id);
+			}
+		}
+		if (this._registry) {
+			// Check the local registry first
+			for (const name of argDevNames) {
+				const regDev = this._registry.findByName(name);
+				if (regDev) {
+					if (!devMap.has(regDev.id)) {
+						throw new Error(`Device not found: ${name}`);
+					}
+					argDevIds.add(regDev.id);
+					argDevNames.delete(name);
+				}
+			}
+			for (const id of unknownPlatformDevIds) {
+				const regDev = this._registry.findById(id);
+				if (regDev && regDev.platformId) {
+					devMap.get(id).platformId = regDev.platformId;
+					unknownPlatformDevIds.delete(id);
 				}
-				argDevIds.add(arg.id);
-			} else {
-				argDevNames.add(arg.name);
 			}
 		}
 		if (argDevNames.size || unknownPlatformDevIds.size) {
 			// Get missing info from the cloud
 			this._log.info('Getting device info from the cloud');
 			const api = await this._particleApi();
-			const userDevs = await api.getDevices();
+			const userDevs = await api.getDevices({ product: this._product });
 			for (const userDev of userDevs) {
 				if (argDevNames.delete(userDev.name)) {
 					if (!devMap.has(userDev.id)) {
@@ -218,6 +960,15 @@ class App {
 				throw new Error(`Unknown device: ${name}`);
 			}
 		}
+		for (const platformId of argPlatformIds) {
+			const devs = localDevs.filter(dev => dev.platformId === platformId);
+			if (!devs.length) {
+				throw new Error(`Device not found: ${formatDeviceArg({ platform: platformId })}`);
+			}
+			for (const dev of devs) {
+				argDevIds.add(dev.id);
+			}
+		}
 		let targetDevs = localDevs;
 		if (argDevIds.size) {
 			const unusedDevs = targetDevs.filter(dev => !argDevIds.has(dev.id));
@@ -237,19 +988,9 @@ class App {
 		// Depending on the flash interface, device IDs and platform IDs may not be known at the time
 		// when available devices are enumerated. As an optimization, first try to detect available
 		// devices using particle-usb
-		const devPlatforms = new Map();
-		const usbDevs = await usb.getDevices();
-		for (const dev of usbDevs) {
-			try {
-				await dev.open();
-				devPlatforms.set(dev.id, dev.platformId);
-				await dev.close();
-			} catch (_err) {
-				// Ignore error
-			}
-		}
+		const devPlatforms = await this._getUsbDevicePlatforms();
 		const devs = [];
-		const flashIf = this._ocd || this._dfu || this._usb;
+		const flashIf = this._ocd || this._jlink || this._probeRs || this._dfu || this._usb;
 		const foundDevs = await flashIf.listDevices();
 		const limit = pLimit(maxJobs);
 		const promises = foundDevs.map(dev => limit(async () => {
@@ -287,11 +1028,43 @@ class App {
 		return devs;
 	}
 
+	async _getUsbDevicePlatforms({ ignoredUsbPorts = [] } = {}) {
+		const devPlatforms = new Map();
+		const usbDevs = await usb.getDevices();
+		for (const dev of usbDevs) {
+			if (ignoredUsbPorts.includes(usbPortForDevice(dev))) {
+				continue;
+			}
+			try {
+				await dev.open();
+				devPlatforms.set(dev.id, dev.platformId);
+				await dev.close();
+			} catch (_err) {
+				// Ignore error
+			}
+		}
+		return devPlatforms;
+	}
+
+	// Returns the modules needed to restore a device to its factory state after its flash memory
+	// has been erased
+	_factoryResetModules(modules) {
+		const types = [ModuleType.BOOTLOADER, ModuleType.RADIO_STACK, ModuleType.SYSTEM_PART, ModuleType.USER_PART];
+		modules = modules.filter(m => types.includes(m.type));
+		const missingTypes = [ModuleType.BOOTLOADER, ModuleType.SYSTEM_PART, ModuleType.USER_PART]
+			.filter(type => !modules.some(m => m.type === type));
+		if (missingTypes.length) {
+			throw new Error(`Missing module binaries for factory reset: ${missingTypes.join(', ')}`);
+		}
+		return modules;
+	}
+
 	_filterModules(modules, args) {
 		let types = new Set();
 		// Whitelisted module types
 		if (args.system) {
 			types.add(ModuleType.SYSTEM_PART);
+			types.add(ModuleType.MONO_FIRMWARE);
 		}
 		if (args.user) {
 			types.add(ModuleType.USER_PART);
@@ -311,6 +1084,7 @@ class App {
 		// Blacklisted module types
 		if (args.noSystem) {
 			types.delete(ModuleType.SYSTEM_PART);
+			types.delete(ModuleType.MONO_FIRMWARE);
 		}
 		if (args.noUser) {
 			types.delete(ModuleType.USER_PART);
@@ -340,7 +1114,7 @@ class App {
 	_parseDeviceArgs(args) {
 		let devArgs = args.device;
 		if (!devArgs || !devArgs.length) {
-			if (!args['all-devices']) {
+			if (!args['all-devices'] && !args.watch) {
 				throw new Error('Target device is not specified');
 			}
 			return [];
@@ -353,15 +1127,33 @@ class App {
 		}
 		const devs = [];
 		for (const arg of devArgs) {
-			const [devIdOrName, platformName] = arg.split(':');
-			if (!devIdOrName) {
-				throw new RangeError('Missing device ID or name');
+			let parts = arg.split(':');
+			let selector = null;
+			if (parts.length > 1 && DEVICE_SELECTORS.includes(parts[0])) {
+				selector = parts[0];
+				parts = parts.slice(1);
+			}
+			const [value, platformName] = parts;
+			if (!value) {
+				throw new RangeError(selector ? `Missing value of device selector: ${arg}` : 'Missing device ID or name');
 			}
 			const dev = {};
-			if (isDeviceId(devIdOrName)) {
-				dev.id = devIdOrName;
+			if (selector === 'usb') {
+				if (!/^\d+-\d+(\.\d+)*$/.test(value)) {
+					throw new RangeError(`Invalid USB port: ${value}`);
+				}
+				dev.usbPort = value;
+			} else if (selector === 'adapter') {
+				dev.adapterSerial = value;
+			} else if (selector === 'platform') {
+				if (platformName) {
+					throw new RangeError(`Unexpected platform hint: ${arg}`);
+				}
+				dev.platform = platformForName(value).id;
+			} else if (isDeviceId(value)) {
+				dev.id = value;
 			} else {
-				dev.name = devIdOrName;
+				dev.name = value;
 			}
 			if (platformName) {
 				dev.platformId = platformForName(platformName).id; // Platform hint
@@ -371,25 +1163,43 @@ class App {
 		return devs;
 	}
 
-	_parseVersionOrPathArg(args) {
+	_parseVersionOrPathArg(args, { optional = false } = {}) {
 		let arg = args._[0];
 		if (!arg) {
+			if (optional) {
+				return null;
+			}
 			throw new Error('Device OS version is not specified');
 		}
 		if (fs.existsSync(arg)) {
 			arg = { path: arg };
 		} else {
-			if (arg.startsWith('v')) {
-				arg = arg.slice(1);
-			}
-			if (!semver.valid(arg)) {
-				throw new RangeError(`Invalid version number: ${args._[0]}`);
-			}
-			arg = { version: arg };
+			arg = { version: this._parseVersionArg(arg) };
 		}
 		return arg;
 	}
 
+	_parseVersionArg(arg) {
+		let ver = arg;
+		if (ver.startsWith('v')) {
+			ver = ver.slice(1);
+		}
+		if (!semver.valid(ver)) {
+			throw new RangeError(`Invalid version number: ${arg}`);
+		}
+		return ver;
+	}
+
+	_parseReleaseSourceArg(args) {
+		const str = args['release-source'] || process.env.DEVICE_OS_RELEASE_SOURCE;
+		if (!str) {
+			return null;
+		}
+		const source = releaseSourceFromString(str, { log: this._log });
+		this._log.verbose('Release source:', source.name);
+		return source;
+	}
+
 	_parseMaxRetriesArg(args) {
 		if (args.retries === undefined) {
 			return DEFAULT_MAX_RETRIES;
@@ -400,6 +1210,62 @@ class App {
 		return args.retries;
 	}
 
+	_parseEraseArgs(args) {
+		if (!args.erase && !args['factory-reset']) {
+			return false;
+		}
+		if (!args.openocd && !args.jlink && !args['probe-rs']) {
+			// The DFU bootloader runs from the internal flash memory and cannot erase itself
+			throw new RangeError('Erasing the entire flash memory requires a debugger; use --openocd, --jlink or --probe-rs');
+		}
+		if (args['factory-reset'] && Object.values(MODULE_TYPE_OPTIONS).flat().some(arg => args[arg])) {
+			throw new RangeError('Module types cannot be filtered when performing a factory reset');
+		}
+		if (args['skip-current']) {
+			throw new RangeError('--skip-current cannot be used when erasing the flash memory');
+		}
+		return true;
+	}
+
+	_parseWaitOnlineArg(args, { verOrPath, modules }) {
+		const arg = args['wait-online'];
+		if (arg === undefined || arg === false) {
+			return null;
+		}
+		let timeout = WAIT_ONLINE_DEFAULT_TIMEOUT_SEC;
+		if (arg !== '' && arg !== true) {
+			timeout = Number(arg);
+			if (!Number.isInteger(timeout) || timeout <= 0) {
+				throw new RangeError(`Invalid timeout: ${arg}`);
+			}
+		}
+		// The Device OS version can only be checked if the system firmware is being flashed from a release
+		let version = null;
+		if (verOrPath && verOrPath.version && modules.some(m => m.type === ModuleType.SYSTEM_PART)) {
+			version = verOrPath.version;
+		}
+		return { timeout: timeout * 1000, version };
+	}
+
+	_parseProductArgs(args) {
+		this._product = args.product ? String(args.product) : null;
+		let lockFirmware = null;
+		if (args['lock-firmware'] !== undefined) {
+			lockFirmware = Number(args['lock-firmware']);
+			if (!Number.isInteger(lockFirmware) || lockFirmware <= 0) {
+				throw new RangeError(`Invalid product firmware version: ${args['lock-firmware']}`);
+			}
+		}
+		const unlockFirmware = !!args['unlock-firmware'];
+		if (lockFirmware && unlockFirmware) {
+			throw new RangeError('--lock-firmware and --unlock-firmware cannot be used together');
+		}
+		if ((lockFirmware || unlockFirmware) && !this._product) {
+			throw new RangeError('Product is not specified; use --product=<id | slug>');
+		}
+		return { lockFirmware, unlockFirmware };
+	}
+
 	_parseMaxJobsArg(args) {
 		if (args.jobs === undefined) {
 			return DEFAULT_MAX_JOBS;
@@ -420,23 +1286,52 @@ class App {
 
 	async _markLocalDevicesAsDevelopment(devs) {
 		const api = await this._particleApi();
-		for (const dev of devs) {
+		const limit = pLimit(MAX_CONCURRENT_API_REQUESTS);
+		await Promise.all(devs.map(dev => limit(async () => {
+			// Check if the device belongs to a product
 			let cloudDev;
 			try {
-				cloudDev = await api.getDevice(dev.id);
+				cloudDev = await api.getDevice(dev.id, { product: this._product });
 			} catch (e) {
-				this._log.warn(`Failed to get device info for ${dev.id}`, e.message);
-				continue;
-			}
-			if (cloudDev.product_id && !cloudDev.development) {
-				this._log.info(`Marking ${dev.id} as development`);
-				try {
-					await api.markDevelopment(dev.id, cloudDev.product_id);
-				} catch (e) {
-					this._log.warn(`Failed to mark ${dev.id} as development`, e.message);
+				if (this._product && e.statusCode === 404) {
+					this._log.warn(`${dev.id} does not belong to product ${this._product}; not marking it as development`);
+				} else {
+					this._log.warn(`Failed to get device info for ${dev.id}`, e.message);
 				}
+				return;
+			}
+			if (!cloudDev.product_id || cloudDev.development) {
+				return;
 			}
+			const productId = this._product || cloudDev.product_id;
+			this._log.info(`Marking ${dev.id} as development`);
+			try {
+				await api.markDevelopment(dev.id, productId);
+			} catch (e) {
+				this._log.warn(`Failed to mark ${dev.id} as development`, e.message);
+			}
+		})));
+	}
+
+	async _updateProductFirmware(devs, { lockFirmware = null, unlockFirmware = false } = {}) {
+		if (!lockFirmware && !unlockFirmware) {
+			return;
 		}
+		const api = await this._particleApi();
+		const limit = pLimit(MAX_CONCURRENT_API_REQUESTS);
+		await Promise.all(devs.map(dev => limit(async () => {
+			try {
+				if (lockFirmware) {
+					this._log.info(`Locking ${dev.id} to product firmware version ${lockFirmware}`);
+					await api.lockProductFirmware(dev.id, this._product, lockFirmware);
+				} else {
+					this._log.info(`Unlocking product firmware of ${dev.id}`);
+					await api.unlockProductFirmware(dev.id, this._product);
+				}
+			} catch (e) {
+				this._log.warn(`Failed to update product firmware of ${dev.id}`, e.message);
+			}
+		})));
 	}
 }
 
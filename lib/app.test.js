@@ -0,0 +1,276 @@
+'use strict';
+const { App } = require('./app');
+const { Device } = require('./device');
+const { DeviceRegistry } = require('./registry');
+const { Logger, LogLevel } = require('./log');
+const { platformForName, ModuleType } = require('./platform');
+
+const { expect } = require('chai');
+
+describe('App (app.js)', () => {
+	let app = null;
+
+	beforeEach(() => {
+		app = new App({ name: 'test', log: new Logger({ level: LogLevel.ERROR }) });
+	});
+
+	describe('flashing', () => {
+		const log = new Logger({ level: LogLevel.ERROR });
+		const boronId = platformForName('boron').id;
+		const devId1 = 'e00fce68a1b2c3d4e5f60718';
+		const devId2 = 'e00fce68a1b2c3d4e5f60719';
+		const systemPart = { type: ModuleType.SYSTEM_PART, platformId: boronId, file: 'boron-system-part1@5.0.0.bin' };
+
+		let flashErrors = null; // Errors by device ID
+		let flashed = null; // IDs of the flashed devices
+		let devs = null;
+
+		// Module binaries, local devices and flashers are stubbed out
+		async function runApp(args) {
+			app._initModuleCache = async () => {};
+			app._getModules = async () => [systemPart];
+			app._listLocalDevices = async () => devs;
+			app._createFlashers = devs => devs.map(device => ({
+				device,
+				log,
+				run: async () => {
+					if (flashErrors[device.id]) {
+						throw new Error(flashErrors[device.id]);
+					}
+					flashed.add(device.id);
+				}
+			}));
+			await app.init({ _: ['5.0.0'], 'all-devices': true, 'control': true, ...args });
+		}
+
+		async function expectError(promise, message) {
+			let error = null;
+			try {
+				await promise;
+			} catch (err) {
+				error = err;
+			}
+			expect(error).to.be.an('error').with.property('message', message);
+		}
+
+		beforeEach(() => {
+			flashErrors = {};
+			flashed = new Set();
+			devs = [devId1, devId2].map(id => new Device({ id, platformId: boronId, log }));
+		});
+
+		describe('product options', () => {
+			it('locks the product firmware of the flashed devices', async () => {
+				const locked = [];
+				app._api = { lockProductFirmware: async (id, product, version) => locked.push({ id, product, version }) };
+				await runApp({ 'product': 1234, 'lock-firmware': '3' });
+				expect(locked).to.have.deep.members([
+					{ id: devId1, product: '1234', version: 3 },
+					{ id: devId2, product: '1234', version: 3 }
+				]);
+			});
+
+			it('locks the product firmware of the flashed devices if other devices fail', async () => {
+				const locked = [];
+				app._api = { lockProductFirmware: async (id, product, version) => locked.push({ id, product, version }) };
+				flashErrors[devId2] = 'Flashing failed';
+				await expectError(runApp({ 'product': 'my-product', 'lock-firmware': '3' }), 'Flashing failed');
+				expect(locked).to.deep.equal([{ id: devId1, product: 'my-product', version: 3 }]);
+			});
+
+			it('reports the flashing error if the product firmware cannot be updated', async () => {
+				app._particleApi = async () => {
+					throw new Error('Missing access token for Particle API');
+				};
+				flashErrors[devId2] = 'Flashing failed';
+				await expectError(runApp({ 'product': 'my-product', 'lock-firmware': '3' }), 'Flashing failed');
+				delete flashErrors[devId2];
+				await expectError(runApp({ 'product': 'my-product', 'lock-firmware': '3' }), 'Missing access token for Particle API');
+			});
+
+			it('marks only the devices of the product as development', async () => {
+				const marked = [];
+				app._api = {
+					getDevice: async (id, { product }) => {
+						if (id !== devId1 || product !== 'my-product') {
+							throw Object.assign(new Error('Not found'), { statusCode: 404 });
+						}
+						return { id, product_id: 1234, development: false };
+					},
+					markDevelopment: async (id, productId) => marked.push({ id, productId })
+				};
+				await runApp({ 'product': 'my-product', 'mark-development': true });
+				expect(marked).to.deep.equal([{ id: devId1, productId: 'my-product' }]);
+			});
+
+			it('fails if the product options are invalid', async () => {
+				await expectError(runApp({ 'lock-firmware': '3' }), 'Product is not specified; use --product=<id | slug>');
+				await expectError(runApp({ 'product': 'my-product', 'lock-firmware': 'abc' }), 'Invalid product firmware version: abc');
+				await expectError(runApp({ 'product': 'my-product', 'lock-firmware': '3', 'unlock-firmware': true }),
+					'--lock-firmware and --unlock-firmware cannot be used together');
+			});
+		});
+
+		describe('post-flash cloud check', () => {
+			const lastHeard = new Date(Date.now() - 60000).toISOString();
+
+			// The cloud reports `before` until the device is flashed and `after` afterwards
+			function mockApi(before, after) {
+				app._api = { getDevice: async id => flashed.has(id) ? after : before };
+			}
+
+			beforeEach(() => {
+				devs = devs.slice(0, 1);
+			});
+
+			it('waits until the device reports the expected Device OS version', async () => {
+				mockApi({ online: true, last_heard: lastHeard, system_firmware_version: '4.0.0' },
+					{ online: true, last_heard: new Date().toISOString(), system_firmware_version: '5.0.0' });
+				await runApp({ 'wait-online': '1' });
+				expect(app._cloudStatus.get(devId1)).to.deep.equal({ status: 'online', version: '5.0.0' });
+			});
+
+			it('reports a device with a wrong Device OS version', async () => {
+				mockApi({ online: true, last_heard: lastHeard, system_firmware_version: '4.0.0' },
+					{ online: true, last_heard: new Date().toISOString(), system_firmware_version: '4.0.0' });
+				await expectError(runApp({ 'wait-online': '1' }), 'Device is online but reports Device OS 4.0.0; expected 5.0.0');
+				expect(app._cloudStatus.get(devId1)).to.deep.equal({ status: 'wrong-version', version: '4.0.0' });
+			});
+
+			it('does not treat a device as online until the cloud hears from it after flashing', async () => {
+				// The cloud may not have noticed yet that the device was reset
+				const cloudDev = { online: true, last_heard: lastHeard, system_firmware_version: '5.0.0' };
+				mockApi(cloudDev, cloudDev);
+				await expectError(runApp({ 'wait-online': '1' }), 'Timed out waiting for the device to come online');
+				expect(app._cloudStatus.get(devId1)).to.deep.equal({ status: 'timed-out', version: null });
+			});
+
+			it('does not take a job slot while waiting for a device to come online', async () => {
+				devs = [devId1, devId2].map(id => new Device({ id, platformId: boronId, log }));
+				// The second device can only be flashed if the first one is not holding the only job slot
+				app._api = {
+					getDevice: async id => {
+						if (id === devId1 && !flashed.has(devId2)) {
+							return { online: false, last_heard: lastHeard };
+						}
+						return { online: true, last_heard: flashed.has(id) ? new Date().toISOString() : lastHeard, system_firmware_version: '5.0.0' };
+					}
+				};
+				await runApp({ 'wait-online': '1', 'jobs': 1 });
+				expect(Array.from(app._cloudStatus.values()).map(r => r.status)).to.deep.equal(['online', 'online']);
+			});
+		});
+	});
+
+	describe('watch mode', () => {
+		async function waitFor(cond) {
+			while (!cond()) {
+				await new Promise(resolve => setTimeout(resolve, 50));
+			}
+		}
+
+		it('does not open the devices that are being flashed and flashes a replaced debugger target', async function () {
+			this.timeout(10000);
+			const log = new Logger({ level: LogLevel.ERROR });
+			let targetId = 'e00fce68a1b2c3d4e5f6071a';
+			const listCalls = [];
+			app._dfu = {
+				listDevices: async ({ ignoredUsbPorts }) => {
+					listCalls.push(ignoredUsbPorts);
+					const usbDev = { id: 'e00fce68a1b2c3d4e5f60718', platformId: 13, usbPort: '1-1', log };
+					const debugDev = {
+						id: null,
+						platformId: 13,
+						usbPort: '1-2',
+						serialNumber: 'ABC123',
+						log,
+						open: async () => {
+							debugDev.id = targetId;
+						},
+						close: async () => {}
+					};
+					return [usbDev, debugDev].filter(dev => !ignoredUsbPorts.includes(dev.usbPort));
+				}
+			};
+			const flashed = [];
+			let finishFlashing = null;
+			const flashingDone = new Promise(resolve => {
+				finishFlashing = resolve;
+			});
+			app._flashWatchedDevice = async dev => {
+				flashed.push(dev.id);
+				await flashingDone;
+			};
+			const watchPromise = app._watchDevices([], { devArgs: [] });
+			await waitFor(() => listCalls.length === 2);
+			expect(flashed).to.have.members(['e00fce68a1b2c3d4e5f60718', 'e00fce68a1b2c3d4e5f6071a']);
+			expect(listCalls[1]).to.have.members(['1-1', '1-2']);
+			finishFlashing();
+			await waitFor(() => listCalls.length === 3);
+			targetId = 'e00fce68a1b2c3d4e5f6071b';
+			await waitFor(() => flashed.length === 3);
+			app.stopWatching();
+			await watchPromise;
+			expect(flashed[2]).to.equal('e00fce68a1b2c3d4e5f6071b');
+		});
+	});
+
+	describe('device selectors', () => {
+		const boronId = platformForName('boron').id;
+		const argonId = platformForName('argon').id;
+		const devs = [
+			{ id: 'e00fce68a1b2c3d4e5f60718', platformId: boronId, usbPort: '1-2.1', serialNumber: null },
+			{ id: 'e00fce68a1b2c3d4e5f60719', platformId: boronId, usbPort: '1-2.2', serialNumber: null },
+			{ id: 'e00fce68a1b2c3d4e5f6071a', platformId: argonId, usbPort: '1-3', serialNumber: 'ABC123' }
+		];
+
+		it('parses the USB port, adapter and platform selectors', () => {
+			const args = app._parseDeviceArgs({ device: ['usb:1-2.1', 'adapter:ABC123:argon', 'platform:boron', 'my_boron'] });
+			expect(args).to.deep.equal([
+				{ usbPort: '1-2.1' },
+				{ adapterSerial: 'ABC123', platformId: argonId },
+				{ platform: boronId },
+				{ name: 'my_boron' }
+			]);
+		});
+
+		it('fails if a selector is invalid', () => {
+			expect(() => app._parseDeviceArgs({ device: 'usb:1' })).to.throw('Invalid USB port: 1');
+			expect(() => app._parseDeviceArgs({ device: 'adapter:' })).to.throw('Missing value of device selector: adapter:');
+			expect(() => app._parseDeviceArgs({ device: 'platform:toaster' })).to.throw();
+		});
+
+		it('selects the devices matching the selectors', async () => {
+			let targetDevs = await app._getTargetDevices(devs, app._parseDeviceArgs({ device: 'usb:1-2.2' }));
+			expect(targetDevs.map(d => d.id)).to.deep.equal([devs[1].id]);
+			targetDevs = await app._getTargetDevices(devs, app._parseDeviceArgs({ device: 'adapter:ABC123' }));
+			expect(targetDevs.map(d => d.id)).to.deep.equal([devs[2].id]);
+			targetDevs = await app._getTargetDevices(devs, app._parseDeviceArgs({ device: ['platform:boron', 'usb:1-3'] }));
+			expect(targetDevs.map(d => d.id)).to.deep.equal(devs.map(d => d.id));
+		});
+
+		it('resolves device names using the local registry', async () => {
+			app._registry = new DeviceRegistry({ file: 'devices.json', log: new Logger({ level: LogLevel.ERROR }) });
+			app._registry.add({ id: devs[1].id, name: 'my_boron' });
+			const targetDevs = await app._getTargetDevices(devs, app._parseDeviceArgs({ device: 'my_boron' }));
+			expect(targetDevs.map(d => d.id)).to.deep.equal([devs[1].id]);
+		});
+
+		it('fails if no device matches a selector', async () => {
+			let error = null;
+			try {
+				await app._getTargetDevices(devs, app._parseDeviceArgs({ device: 'usb:2-1' }));
+			} catch (err) {
+				error = err;
+			}
+			expect(error).to.be.an('error').with.property('message', 'Device not found: usb:2-1');
+			error = null;
+			try {
+				await app._getTargetDevices(devs, app._parseDeviceArgs({ device: 'platform:bsom' }));
+			} catch (err) {
+				error = err;
+			}
+			expect(error).to.be.an('error').with.property('message', 'Device not found: platform:bsom');
+		});
+	});
+});
@@ -0,0 +1,394 @@
+#!/usr/bin/env node
+'use strict';
+require('events').EventEmitter.defaultMaxListeners = 0;
+
+const { App, Logger, LogLevel } = require('./index');
+const { ProgressDisplay } = require('./progress');
+const { LOCAL_CONFIG_FILE, loadProfile, profileToArgs, mergeModuleTypeArgs } = require('./config');
+const { version: PACKAGE_VERSION, description: PACKAGE_DESC } = require('../package.json');
+
+const parseArgs = require('minimist');
+
+const os = require('os');
+const path = require('path');
+
+const APP_NAME = 'device-os-flash';
+
+// Options whose value is optional
+const OPTIONAL_VALUE_ARGS = ['--wait-online'];
+
+function showUsage() {
+	// eslint-disable-next-line no-console
+	console.log(`\
+${PACKAGE_DESC}
+
+Usage: ${APP_NAME} [options...] <version | path>
+       ${APP_NAME} cache <command> [options...]
+       ${APP_NAME} devices <command> [options...]
+
+version
+    Device OS version number.
+
+path
+    Path to firmware binaries.
+
+Cache commands:
+
+cache list
+    List the cached releases, their platforms and sizes.
+
+cache prune --keep=<number>
+    Remove all cached releases except the most recent ones.
+
+cache remove <version...>
+    Remove a cached release.
+
+cache verify [version...]
+    Check the integrity of the cached module binaries.
+
+cache import <dir | zip> --as=<version>
+    Add module binaries to the cache as the specified release.
+
+Device registry commands:
+
+devices list
+    List the devices in the local registry.
+
+devices add <id> <name> [platform]
+    Add a device to the local registry or update its entry.
+
+devices remove <id | name...>
+    Remove a device from the local registry.
+
+devices sync
+    Add all devices of the user's Particle account to the local registry.
+
+Options:
+
+-d <device>, --device=<device>
+    Specify the ID or name of the target device. A device can also be selected by the location of
+    its USB port (usb:<bus>-<port>, e.g. usb:1-2.3), the serial number of its debug adapter
+    (adapter:<serial>) or its platform (platform:<name>, selects all devices of that platform).
+    A platform name can be appended to a device ID or name as a hint, e.g. my_boron:boron.
+
+--all-devices
+    Flash all connected devices.
+
+--openocd
+    Use OpenOCD to flash devices.
+
+--jlink
+    Use J-Link probes to flash devices. Requires the J-Link Software; nrfjprog is used for nRF
+    targets if it's installed. RTL872x devices are not supported.
+
+--probe-rs
+    Use probe-rs to flash devices via debug probes.
+
+--openocd-port-range=<min>-<max>
+    Use ports from the specified range for OpenOCD instances. By default, free ports are assigned
+    by the OS. Each debug adapter needs two ports.
+
+--control
+	Use only control requests to flash devices.
+
+--system
+    Flash the system firmware.
+
+--no-system
+    Do not flash the system firmware.
+
+--user
+    Flash the user firmware.
+
+--no-user
+    Do not flash the user firmware.
+
+--bootloader
+    Flash the bootloader.
+
+--no-bootloader
+    Do not flash the bootloader.
+
+--ncp
+    Flash the NCP firmware.
+
+--no-ncp
+    Do not flash the NCP firmware.
+
+--radio
+    Flash the radio stack module.
+
+--no-radio
+    Do not flash the radio stack module.
+
+--draft
+    Download a draft release.
+
+--no-cache
+    Do not use cached firmware binaries.
+
+--release-source=<source>
+    Download release binaries from a custom source. Supported sources:
+    github:<owner>/<repo> - GitHub repository (set GITHUB_API_URL to use GitHub Enterprise).
+    http[s]://<url> - HTTP server providing a release index at <url>/index.json.
+    <path> - Local directory with release binaries stored as <version>/<platform>/*.bin.
+
+--skip-current
+    Query the modules installed on each device and do not flash the modules that are already up to date.
+
+--force
+    Flash the modules even if their dependencies are not going to be satisfied.
+
+--verify
+    Read the flash contents back after writing each module and compare them with the module binary.
+
+-r <number>, --retries=<number>
+    Set the maximum number of times a failed operation can be retried.
+
+--report=<path>
+    Save a JSON report with the results of flashing each device.
+
+--watch
+    Keep running and flash devices as they are attached. A device is not flashed again unless it is
+    unplugged. Press Ctrl+C to stop.
+
+--erase
+    Erase the entire internal flash memory of each device before flashing it. If no version or path
+    is specified, the devices are only erased. Requires --openocd, --jlink or --probe-rs.
+
+--factory-reset
+    Erase the entire internal flash memory of each device and flash the bootloader, radio stack,
+    system parts and Tinker. Requires --openocd, --jlink or --probe-rs.
+
+--validate
+    After flashing a device, query its modules via USB and fail if the device is in safe mode or
+    is running module versions other than the flashed ones.
+
+--wait-online[=<seconds>]
+    After flashing a device, wait until it comes online in the Particle Cloud and reports the
+    expected Device OS version (default timeout: 300 seconds).
+
+--dry-run
+    Print the list of modules that would be flashed to each device and exit.
+
+--openocd-adapter-save=<path>
+    Save a JSON file mapping device IDs to the serial numbers of their debug adapters.
+
+--profile=<name>
+    Use the options defined in a profile. Profiles are loaded from ${LOCAL_CONFIG_FILE} in the
+    working directory and ~/.particle/${APP_NAME}/config.json. Options passed via command line
+    take precedence over the profile options.
+
+-m, --mark-development
+    Mark the product devices as development devices before flashing them.
+
+--product=<id | slug>
+    Resolve device names and platforms using the device list of a product instead of the devices
+    claimed to the user.
+
+--lock-firmware=<version>
+    Lock the flashed devices to a product firmware version. Requires --product.
+
+--unlock-firmware
+    Unlock the product firmware of the flashed devices. Requires --product.
+
+-j <number>, --jobs=<number>
+    Limit the number of devices that can be flashed simultaneously.
+
+-v, --verbose
+    Enable verbose logging.
+
+--version
+    Show the version number.
+
+-h, --help
+    Show this message.
+
+Environment variables:
+
+PARTICLE_TOKEN
+    Access token for the Particle API.
+
+GITHUB_TOKEN
+    Access token for the GitHub API.
+
+GITHUB_API_URL
+    Base URL of the GitHub Enterprise API.
+
+DEVICE_OS_RELEASE_SOURCE
+    Source of release binaries. See --release-source.`);
+}
+
+// minimist doesn't allow parsing flags like --X and --no-X separately
+function parseModuleTypeArgs(args) {
+	const m = {
+		system: false,
+		noSystem: false,
+		user: false,
+		noUser: false,
+		bootloader: false,
+		noBootloader: false,
+		ncp: false,
+		noNcp: false,
+		radio: false,
+		noRadio: false
+	};
+	let i = 0;
+	while (i < args.length) {
+		let filter = true;
+		switch (args[i]) {
+			case '--system': m.system = true; break;
+			case '--no-system': m.noSystem = true; break;
+			case '--user': m.user = true; break;
+			case '--no-user': m.noUser = true; break;
+			case '--bootloader': m.bootloader = true; break;
+			case '--no-bootloader': m.noBootloader = true; break;
+			case '--ncp': m.ncp = true; break;
+			case '--no-ncp': m.noNcp = true; break;
+			case '--radio': m.radio = true; break;
+			case '--no-radio': m.noRadio = true; break;
+			default: filter = false; break;
+		}
+		if (filter) {
+			args.splice(i, 1);
+		} else {
+			++i;
+		}
+	}
+	return m;
+}
+
+// minimist doesn't support arguments like -vv and -vvv
+function parseLogVerbosityArgs(args) {
+	let verbosity = 0;
+	const rx = /^-v+$/;
+	let i = 0;
+	while (i < args.length) {
+		const arg = args[i];
+		if (rx.test(arg)) {
+			const v = arg.length - 1;
+			if (v > verbosity) {
+				verbosity = v;
+			}
+			args.splice(i, 1);
+		} else if (arg === '--verbose') {
+			if (!verbosity) {
+				verbosity = 1;
+			}
+			args.splice(i, 1);
+		} else {
+			++i;
+		}
+	}
+	if (verbosity >= 2) {
+		return LogLevel.SILLY;
+	} else if (verbosity === 1) {
+		return LogLevel.DEBUG;
+	}
+	return LogLevel.VERBOSE;
+}
+
+function parseCommandLineArgs(argv, defaults = {}) {
+	// The value of an option with an optional value can only be passed as --<option>=<value>. Otherwise,
+	// `--wait-online 5.0.0` would be parsed as a timeout
+	const end = argv.includes('--') ? argv.indexOf('--') : argv.length;
+	argv = argv.map((arg, i) => (i < end && OPTIONAL_VALUE_ARGS.includes(arg)) ? arg + '=' : arg);
+	return parseArgs(argv, {
+		string: ['_', 'device', 'openocd-ignore-adapter', 'openocd-adapter-save', 'openocd-port-range', 'report',
+			'release-source', 'as', 'profile', 'product', 'lock-firmware',
+			'wait-online'],
+		boolean: ['all-devices', 'openocd', 'jlink', 'probe-rs', 'draft', 'cache', 'version', 'help', 'mark-development', 'control', 'dry-run',
+			'verify', 'skip-current', 'force', 'watch', 'unlock-firmware', 'validate', 'erase', 'factory-reset'],
+		alias: {
+			'device': 'd',
+			'retries': 'r',
+			'jobs': 'j',
+			'help': 'h',
+			'mark-development': 'm',
+			'control': 'c'
+		},
+		default: {
+			'draft': false,
+			'cache': true,
+			...defaults
+		},
+		unknown: arg => {
+			if (arg.startsWith('-')) {
+				throw new RangeError(`Unknown argument: ${arg}`);
+			}
+		}
+	});
+}
+
+async function run() {
+	let ok = true;
+	let app = null;
+	let progress = null;
+	const log = new Logger();
+	try {
+		const argv = process.argv.slice(2);
+		log.level = parseLogVerbosityArgs(argv);
+		let moduleArgs = parseModuleTypeArgs(argv);
+		let args = parseCommandLineArgs(argv);
+		if (args.profile) {
+			const profile = loadProfile(args.profile, {
+				homeConfigFile: path.join(os.homedir(), '.particle', APP_NAME, 'config.json')
+			});
+			log.verbose(`Using profile ${profile.name} (${profile.file})`);
+			const { _: profileVerOrPath, ...profileArgs } = profileToArgs(profile);
+			if (args.device !== undefined) {
+				// Devices passed via command line replace the device selection of the profile
+				delete profileArgs['all-devices'];
+			}
+			// Arguments passed via command line take precedence over the profile options
+			args = parseCommandLineArgs(argv, profileArgs);
+			if (!args._.length && profileVerOrPath) {
+				args._ = profileVerOrPath;
+			}
+			moduleArgs = mergeModuleTypeArgs(moduleArgs, profileArgs);
+		}
+		args = { ...args, ...moduleArgs };
+		if (args.help) {
+			showUsage();
+		} else if (args.version) {
+			// eslint-disable-next-line no-console
+			console.log(PACKAGE_VERSION);
+		} else {
+			app = new App({ name: APP_NAME, log });
+			if (process.stderr.isTTY) {
+				progress = new ProgressDisplay({ stream: process.stderr, log });
+				app.on('progress', e => progress.update(e));
+			}
+			if (args.watch) {
+				// The listener installed by the tmp package terminates the process right away. Temporary
+				// files are still removed on exit
+				process.removeAllListeners('SIGINT');
+				process.on('SIGINT', () => {
+					if (!app.isWatching) {
+						process.exit(1);
+					}
+					log.info('Stopping; press Ctrl+C again to exit immediately');
+					app.stopWatching();
+				});
+			}
+			await app.init(args);
+		}
+	} catch (err) {
+		if (log.level >= LogLevel.DEBUG) {
+			log.error(err.stack);
+		} else {
+			log.error(`Error: ${err.message}`);
+		}
+		ok = false;
+	} finally {
+		if (progress) {
+			progress.stop();
+		}
+		if (app) {
+			await app.shutdown();
+		}
+	}
+	process.exit(ok ? 0 : 1);
+}
+
+run();
@@ -0,0 +1,181 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+
+const LOCAL_CONFIG_FILE = '.device-os-flash.json';
+
+// Profile options. Most of them have the same names and meaning as the respective command line
+// arguments. Module types can be set to true or false which is equivalent to --<type> or --no-<type>
+const PROFILE_OPTIONS = {
+	'version': 'string',
+	'path': 'string',
+	'release-source': 'string',
+	'draft': 'boolean',
+	'cache': 'boolean',
+	'device': 'strings',
+	'all-devices': 'boolean',
+	'openocd': 'boolean',
+	'openocd-ignore-adapter': 'strings',
+	'openocd-port-range': 'string',
+	'jlink': 'boolean',
+	'probe-rs': 'boolean',
+	'control': 'boolean',
+	'system': 'boolean',
+	'user': 'boolean',
+	'bootloader': 'boolean',
+	'ncp': 'boolean',
+	'radio': 'boolean',
+	'skip-current': 'boolean',
+	'force': 'boolean',
+	'verify': 'boolean',
+	'retries': 'integer',
+	'jobs': 'positive-integer',
+	'report': 'string',
+	'mark-development': 'boolean',
+	'product': 'string',
+	'lock-firmware': 'positive-integer',
+	'unlock-firmware': 'boolean',
+	'wait-online': 'positive-integer',
+	'validate': 'boolean',
+	'erase': 'boolean',
+	'factory-reset': 'boolean'
+};
+
+const MODULE_TYPE_OPTIONS = {
+	'system': ['system', 'noSystem'],
+	'user': ['user', 'noUser'],
+	'bootloader': ['bootloader', 'noBootloader'],
+	'ncp': ['ncp', 'noNcp'],
+	'radio': ['radio', 'noRadio']
+};
+
+function readConfigFile(file) {
+	let config = null;
+	try {
+		config = JSON.parse(fs.readFileSync(file, 'utf8'));
+	} catch (err) {
+		throw new Error(`Unable to load config file: ${file}\n${err.message}`);
+	}
+	if (!config || typeof config !== 'object' || (config.profiles !== undefined && typeof config.profiles !== 'object')) {
+		throw new Error(`Invalid config file: ${file}`);
+	}
+	return config;
+}
+
+// Loads the profiles defined in the config files. The profiles defined in the working directory
+// take precedence over the ones defined in the user's home directory
+function loadProfiles({ cwd = process.cwd(), homeConfigFile = null } = {}) {
+	const profiles = new Map();
+	const files = [homeConfigFile, path.join(cwd, LOCAL_CONFIG_FILE)];
+	for (const file of files) {
+		if (!file || !fs.existsSync(file)) {
+			continue;
+		}
+		const config = readConfigFile(file);
+		for (const [name, options] of Object.entries(config.profiles || {})) {
+			profiles.set(name, { name, file, options });
+		}
+	}
+	return profiles;
+}
+
+// Converts a profile to an object with the same structure as the parsed command line arguments
+function profileToArgs(profile) {
+	const args = {};
+	for (const [key, value] of Object.entries(profile.options)) {
+		const type = PROFILE_OPTIONS[key];
+		if (!type) {
+			throw new Error(`Unknown option in profile ${profile.name}: ${key}`);
+		}
+		let valid = false;
+		switch (type) {
+			case 'string': {
+				valid = (typeof value === 'string' && value !== '');
+				break;
+			}
+			case 'strings': {
+				valid = (typeof value === 'string' || Array.isArray(value) && value.every(v => typeof v === 'string'));
+				break;
+			}
+			case 'boolean': {
+				valid = (typeof value === 'boolean');
+				break;
+			}
+			case 'integer': {
+				valid = (Number.isInteger(value) && value >= 0);
+				break;
+			}
+			case 'positive-integer': {
+				valid = (Number.isInteger(value) && value > 0);
+				break;
+			}
+		}
+		if (!valid) {
+			throw new Error(`Invalid value of option in profile ${profile.name}: ${key}`);
+		}
+		if (key === 'version') {
+			args._ = [value];
+		} else if (key === 'path') {
+			// Paths are relative to the location of the config file
+			args._ = [path.resolve(path.dirname(profile.file), value)];
+		} else if (key === 'report') {
+			args[key] = path.resolve(path.dirname(profile.file), value);
+		} else if (MODULE_TYPE_OPTIONS[key]) {
+			const [arg, noArg] = MODULE_TYPE_OPTIONS[key];
+			args[value ? arg : noArg] = true;
+		} else {
+			args[key] = value;
+		}
+	}
+	if (profile.options.version !== undefined && profile.options.path !== undefined) {
+		throw new Error(`Profile ${profile.name} cannot specify both version and path`);
+	}
+	return args;
+}
+
+function loadProfile(name, options) {
+	const profile = loadProfiles(options).get(name);
+	if (!profile) {
+		throw new Error(`Profile not found: ${name}`);
+	}
+	return profile;
+}
+
+// Merges the module type filters passed via command line with the ones defined in a profile. The
+// command line arguments take precedence for each module type
+function mergeModuleTypeArgs(moduleArgs, profileArgs) {
+	moduleArgs = { ...moduleArgs };
+	for (const [arg, noArg] of Object.values(MODULE_TYPE_OPTIONS)) {
+		if (!moduleArgs[arg] && !moduleArgs[noArg]) {
+			moduleArgs[arg] = !!profileArgs[arg];
+			moduleArgs[noArg] = !!profileArgs[noArg];
+		}
+	}
+	return moduleArgs;
+}
+
+// Converts module type filters of the form { system: true, user: false } to the respective command
+// line arguments
+function moduleTypeFilterArgs(filters) {
+	const args = {};
+	for (const key of Object.keys(filters)) {
+		if (!MODULE_TYPE_OPTIONS[key]) {
+			throw new RangeError(`Unknown module type: ${key}`);
+		}
+	}
+	for (const [key, [arg, noArg]] of Object.entries(MODULE_TYPE_OPTIONS)) {
+		args[arg] = (filters[key] === true);
+		args[noArg] = (filters[key] === false);
+	}
+	return args;
+}
+
+module.exports = {
+	LOCAL_CONFIG_FILE,
+	MODULE_TYPE_OPTIONS,
+	loadProfiles,
+	loadProfile,
+	profileToArgs,
+	mergeModuleTypeArgs,
+	moduleTypeFilterArgs
+};
@@ -0,0 +1,122 @@
+'use strict';
+const { LOCAL_CONFIG_FILE, loadProfiles, loadProfile, profileToArgs, mergeModuleTypeArgs } = require('./config');
+
+const { expect } = require('chai');
+const tmp = require('tmp');
+
+const fs = require('fs');
+const path = require('path');
+
+describe('Config profiles (config.js)', () => {
+	let tempDir = null;
+	let cwd = null;
+	let homeConfigFile = null;
+
+	beforeEach(() => {
+		tempDir = tmp.dirSync({ unsafeCleanup: true });
+		cwd = path.join(tempDir.name, 'work');
+		fs.mkdirSync(cwd);
+		homeConfigFile = path.join(tempDir.name, 'config.json');
+	});
+
+	afterEach(() => {
+		tempDir.removeCallback();
+	});
+
+	describe('loadProfiles', () => {
+		it('prefers the profiles defined in the working directory', () => {
+			fs.writeFileSync(homeConfigFile, JSON.stringify({
+				profiles: {
+					'nightly-bench': { version: '4.0.0' },
+					'release': { version: '5.0.0' }
+				}
+			}));
+			fs.writeFileSync(path.join(cwd, LOCAL_CONFIG_FILE), JSON.stringify({
+				profiles: {
+					'nightly-bench': { version: '6.0.0' }
+				}
+			}));
+			const profiles = loadProfiles({ cwd, homeConfigFile });
+			expect(profiles.get('nightly-bench').options).to.deep.equal({ version: '6.0.0' });
+			expect(profiles.get('release').options).to.deep.equal({ version: '5.0.0' });
+		});
+
+		it('fails if the config file is invalid', () => {
+			fs.writeFileSync(homeConfigFile, '{');
+			expect(() => loadProfiles({ cwd, homeConfigFile })).to.throw(`Unable to load config file: ${homeConfigFile}`);
+		});
+	});
+
+	describe('loadProfile', () => {
+		it('fails if the profile is not defined', () => {
+			expect(() => loadProfile('nightly-bench', { cwd, homeConfigFile })).to.throw('Profile not found: nightly-bench');
+		});
+	});
+
+	describe('profileToArgs', () => {
+		it('converts the profile options to command line arguments', () => {
+			const profile = {
+				name: 'nightly-bench',
+				file: path.join(cwd, LOCAL_CONFIG_FILE),
+				options: {
+					'path': 'binaries',
+					'device': ['my_boron', 'my_argon'],
+					'openocd': true,
+					'openocd-ignore-adapter': 'ABC123',
+					'system': true,
+					'user': false,
+					'retries': 3,
+					'jobs': 2,
+					'skip-current': true,
+					'report': 'report.json',
+					'mark-development': true
+				}
+			};
+			expect(profileToArgs(profile)).to.deep.equal({
+				'_': [path.join(cwd, 'binaries')],
+				'device': ['my_boron', 'my_argon'],
+				'openocd': true,
+				'openocd-ignore-adapter': 'ABC123',
+				'system': true,
+				'noUser': true,
+				'retries': 3,
+				'jobs': 2,
+				'skip-current': true,
+				'report': path.join(cwd, 'report.json'),
+				'mark-development': true
+			});
+		});
+
+		it('fails if the profile contains an unknown or invalid option', () => {
+			const profile = { name: 'test', file: homeConfigFile, options: { verbose: true } };
+			expect(() => profileToArgs(profile)).to.throw('Unknown option in profile test: verbose');
+			profile.options = { retries: '3' };
+			expect(() => profileToArgs(profile)).to.throw('Invalid value of option in profile test: retries');
+			profile.options = { 'wait-online': 0 };
+			expect(() => profileToArgs(profile)).to.throw('Invalid value of option in profile test: wait-online');
+			profile.options = { 'lock-firmware': -1 };
+			expect(() => profileToArgs(profile)).to.throw('Invalid value of option in profile test: lock-firmware');
+		});
+	});
+
+	describe('mergeModuleTypeArgs', () => {
+		it('uses the module type filters from the profile unless overridden via command line', () => {
+			const moduleArgs = {
+				system: false,
+				noSystem: true,
+				user: false,
+				noUser: false
+			};
+			const profileArgs = {
+				system: true,
+				noUser: true
+			};
+			expect(mergeModuleTypeArgs(moduleArgs, profileArgs)).to.include({
+				system: false,
+				noSystem: true,
+				user: false,
+				noUser: true
+			});
+		});
+	});
+});
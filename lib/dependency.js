@@ -1,4 +1,26 @@
 'use strict';
+const { ModuleInfo } = require('binary-version-reader');
+
+const path = require('path');
+
+const { FunctionType: ModuleFunction } = ModuleInfo;
+
+const MODULE_FUNCTION_NAMES = Object.entries(ModuleFunction).reduce((map, [name, func]) =>
+	map.set(func, name.toLowerCase()), new Map());
+
+function formatModule(module) {
+	if (module.file) {
+		return path.basename(module.file);
+	}
+	const name = MODULE_FUNCTION_NAMES.get(module.func) || 'module';
+	return `${name} ${module.index} (version ${module.version})`;
+}
+
+function formatDependency(dep) {
+	const name = MODULE_FUNCTION_NAMES.get(dep.func) || 'module';
+	return `${name} ${dep.index} (version ${dep.version} or newer)`;
+}
+
 class DependencyWalker {
 	constructor({ modules, log }) {
 		this._log = log;
@@ -64,6 +86,42 @@ class DependencyWalker {
 
 }
 
+class DependencyChecker {
+	constructor({ log }) {
+		this._log = log;
+	}
+
+	// Returns a list of the dependencies that will not be satisfied once the modules are flashed.
+	// installedModules is the list of modules currently present on the device, or null if unknown
+	check(modules, { installedModules = null } = {}) {
+		modules = Array.from(modules);
+		// Modules that will be present on the device after flashing
+		let targetModules = modules;
+		if (installedModules) {
+			const keptModules = installedModules.filter(m => !modules.some(m2 => m2.func === m.func && m2.index === m.index));
+			targetModules = [...modules, ...keptModules];
+		}
+		const problems = [];
+		for (const m of targetModules) {
+			for (const dep of m.dependencies) {
+				const m2 = targetModules.find(m2 => m2.func === dep.func && m2.index === dep.index);
+				if (!m2) {
+					if (installedModules) {
+						problems.push({ module: m, dependency: dep, message: `${formatModule(m)} requires ${formatDependency(dep)}, which is not installed` });
+					} else {
+						this._log.debug(`Unable to check dependency of ${formatModule(m)} on ${formatDependency(dep)}`);
+					}
+				} else if (m2.version < dep.version) {
+					problems.push({ module: m, dependency: dep, message: `${formatModule(m)} requires ${formatDependency(dep)}, found ${formatModule(m2)}` });
+				}
+			}
+		}
+		return problems;
+	}
+}
+
 module.exports = {
-	DependencyWalker
+	DependencyWalker,
+	DependencyChecker,
+	formatModule
 };
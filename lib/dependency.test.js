@@ -0,0 +1,78 @@
+'use strict';
+const { DependencyChecker } = require('./dependency');
+const { Logger, LogLevel } = require('./log');
+
+const { expect } = require('chai');
+
+const BOOTLOADER = 2;
+const SYSTEM_PART = 4;
+const USER_PART = 5;
+
+describe('DependencyChecker', () => {
+	const log = new Logger({ level: LogLevel.ERROR });
+
+	const bootloader = {
+		func: BOOTLOADER,
+		index: 0,
+		version: 1200,
+		file: 'boron-bootloader@5.0.0.bin',
+		dependencies: []
+	};
+	const systemPart = {
+		func: SYSTEM_PART,
+		index: 1,
+		version: 5000,
+		file: 'boron-system-part1@5.0.0.bin',
+		dependencies: [{ func: BOOTLOADER, index: 0, version: 1200 }]
+	};
+
+	describe('check', () => {
+		it('accepts dependencies satisfied by the modules being flashed', () => {
+			const c = new DependencyChecker({ log });
+			expect(c.check([bootloader, systemPart])).to.be.empty;
+		});
+
+		it('accepts dependencies satisfied by the installed modules', () => {
+			const c = new DependencyChecker({ log });
+			const installedModules = [{ func: BOOTLOADER, index: 0, version: 1300, dependencies: [] }];
+			expect(c.check([systemPart], { installedModules })).to.be.empty;
+		});
+
+		it('ignores dependencies that cannot be checked', () => {
+			const c = new DependencyChecker({ log });
+			expect(c.check([systemPart])).to.be.empty;
+		});
+
+		it('reports dependencies on older modules being flashed', () => {
+			const c = new DependencyChecker({ log });
+			const oldBootloader = { ...bootloader, version: 1100, file: 'boron-bootloader@4.0.0.bin' };
+			const installedModules = [{ func: BOOTLOADER, index: 0, version: 1300, dependencies: [] }];
+			const problems = c.check([oldBootloader, systemPart], { installedModules });
+			expect(problems).to.have.lengthOf(1);
+			expect(problems[0].message).to.equal('boron-system-part1@5.0.0.bin requires bootloader 0 (version 1200 or newer), ' +
+					'found boron-bootloader@4.0.0.bin');
+		});
+
+		it('reports dependencies on older installed modules', () => {
+			const c = new DependencyChecker({ log });
+			const installedModules = [{ func: BOOTLOADER, index: 0, version: 1100, dependencies: [] }];
+			const problems = c.check([systemPart], { installedModules });
+			expect(problems).to.have.lengthOf(1);
+			expect(problems[0].message).to.equal('boron-system-part1@5.0.0.bin requires bootloader 0 (version 1200 or newer), ' +
+					'found bootloader 0 (version 1100)');
+		});
+
+		it('reports installed modules that would be broken by a downgrade', () => {
+			const c = new DependencyChecker({ log });
+			const oldSystemPart = { ...systemPart, version: 4000, file: 'boron-system-part1@4.0.0.bin', dependencies: [] };
+			const installedModules = [
+				{ func: SYSTEM_PART, index: 1, version: 5000, dependencies: [] },
+				{ func: USER_PART, index: 1, version: 6, dependencies: [{ func: SYSTEM_PART, index: 1, version: 5000 }] }
+			];
+			const problems = c.check([oldSystemPart], { installedModules });
+			expect(problems).to.have.lengthOf(1);
+			expect(problems[0].message).to.equal('user_part 1 (version 6) requires system_part 1 (version 5000 or newer), ' +
+					'found boron-system-part1@4.0.0.bin');
+		});
+	});
+});
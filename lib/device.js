@@ -1,12 +1,31 @@
 'use strict';
 const EventEmitter = require('events');
 
+const InterfaceType = {
+	DFU: 'dfu',
+	OPENOCD: 'openocd',
+	JLINK: 'jlink',
+	PROBE_RS: 'probe-rs',
+	USB: 'usb'
+};
+
+// Modes reported by a device running Device OS
+const DeviceMode = {
+	NORMAL: 'normal',
+	LISTENING: 'listening',
+	UNKNOWN: 'unknown'
+};
+
+// Emits the following events:
+//   progress: Progress of a flash write operation. Has `bytes` and `total` properties.
+//   reset: The device is about to be reset.
 class Device extends EventEmitter {
-	constructor({ id, platformId, log }) {
+	constructor({ id, platformId, usbPort = null, log }) {
 		super();
 		this._log = log;
 		this._id = id;
 		this._platformId = platformId;
+		this._usbPort = usbPort;
 	}
 
 	async open(/* options */) {
@@ -30,6 +49,28 @@ class Device extends EventEmitter {
 		throw new Error('Not implemented');
 	}
 
+	async readFromFlash(/* file, storage, address, size */) {
+		throw new Error('Not implemented');
+	}
+
+	// Erases the entire internal flash memory of the device
+	async eraseFlash() {
+		throw new Error('Not implemented');
+	}
+
+	async getFirmwareModules() {
+		throw new Error('Not implemented');
+	}
+
+	async getDeviceMode() {
+		throw new Error('Not implemented');
+	}
+
+	// Returns the Device OS version of the device as a string, or null if unknown
+	async getSystemVersion() {
+		throw new Error('Not implemented');
+	}
+
 	canFlashModule(/* module */) {
 		return false;
 	}
@@ -38,6 +79,14 @@ class Device extends EventEmitter {
 		return false;
 	}
 
+	canReadFromFlash(/* storage */) {
+		return false;
+	}
+
+	canEraseFlash() {
+		return false;
+	}
+
 	set id(id) {
 		this._id = id;
 	}
@@ -54,6 +103,16 @@ class Device extends EventEmitter {
 		return this._platformId;
 	}
 
+	// Location of the USB device in the form <bus>-<port>[.<port>...]. For devices connected via a
+	// debugger, this is the location of the debugger
+	get usbPort() {
+		return this._usbPort;
+	}
+
+	get interfaceType() {
+		return null;
+	}
+
 	set log(log) {
 		this._log = log;
 	}
@@ -74,7 +133,8 @@ class FlashInterface {
 	async shutdown() {
 	}
 
-	async listDevices() {
+	// Devices attached to the USB ports listed in `ignoredUsbPorts` are not opened
+	async listDevices(/* { ignoredUsbPorts } */) {
 		throw new Error('Not implemented');
 	}
 
@@ -88,6 +148,8 @@ class FlashInterface {
 }
 
 module.exports = {
+	InterfaceType,
+	DeviceMode,
 	Device,
 	FlashInterface
 };
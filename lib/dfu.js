@@ -1,18 +1,21 @@
 'use strict';
-const { Device, FlashInterface } = require('./device');
-const { openUsbDeviceById } = require('./usb');
+const { Device, FlashInterface, InterfaceType } = require('./device');
+const { openUsbDeviceById, usbPortForDevice } = require('./usb');
 const { platformForId, ModuleType } = require('./platform');
 const { execCommand, formatCommand, toUInt32Hex, toUInt16Hex } = require('./util');
 
 const usb = require('particle-usb');
 const which = require('which');
 
+const fs = require('fs');
+
 const FLASH_TIMEOUT = 2 * 60 * 1000;
 
 class DfuDevice extends Device {
-	constructor({ id, platformId, device, log }) {
-		super({ id, platformId, log });
+	constructor({ id, platformId, usbPort, dfuMode = false, device, log }) {
+		super({ id, platformId, usbPort, log });
 		this._dev = device;
+		this._dfuMode = dfuMode; // Whether the device was in DFU mode when it was enumerated
 		this._platform = platformForId(platformId);
 	}
 
@@ -34,6 +37,7 @@ class DfuDevice extends Device {
 		if (!this._dev) {
 			throw new Error('Device is not open');
 		}
+		this.emit('reset');
 		await this._dev.reset();
 	}
 
@@ -62,33 +66,86 @@ class DfuDevice extends Device {
 		if (alt === null) {
 			throw new Error('Unsupported storage');
 		}
+		const total = fs.statSync(file).size;
+		let output = '';
+		const onOutput = data => {
+			// dfu-util redraws its progress bar using carriage returns:
+			// Download	[=========                ]  36%       122880 bytes
+			output += data;
+			const lines = output.split(/[\r\n]/);
+			output = lines.pop();
+			for (const line of lines) {
+				const m = line.match(/^Download\s*\[[= ]*\]\s*(\d+)%\s+(\d+) bytes/);
+				if (m) {
+					this.emit('progress', { bytes: Math.min(Number.parseInt(m[2]), total), total });
+				}
+			}
+		};
+		this.emit('progress', { bytes: 0, total });
+		await this._runDfuUtil([
+			'-a', alt.toString(),
+			'-s', toUInt32Hex(address),
+			'-D', file
+		], { onOutput });
+		this.emit('progress', { bytes: total, total });
+	}
+
+	async readFromFlash(file, storage, address, size) {
+		const alt = this._platform.dfuAltSettingForStorage(storage);
+		if (alt === null) {
+			throw new Error('Unsupported storage');
+		}
+		await this._runDfuUtil([
+			'-a', alt.toString(),
+			'-s', toUInt32Hex(address) + ':' + size.toString(),
+			'-U', file
+		]);
+	}
+
+	canFlashModule(module) {
+		return (module.type !== ModuleType.BOOTLOADER && this.canWriteToFlash(module.storage));
+	}
+
+	canWriteToFlash(storage) {
+		const alt = this._platform.dfuAltSettingForStorage(storage);
+		return (alt !== null);
+	}
+
+	canReadFromFlash(storage) {
+		return this.canWriteToFlash(storage);
+	}
+
+	get interfaceType() {
+		return InterfaceType.DFU;
+	}
+
+	get isInDfuMode() {
+		return this._dev ? this._dev.isInDfuMode : this._dfuMode;
+	}
+
+	async _runDfuUtil(args, { onOutput = null } = {}) {
 		const dev = this._dev;
 		if (!dev) {
 			throw new Error('Device is not open');
 		}
 		const vidPid = toUInt16Hex(dev.vendorId) + ':' + toUInt16Hex(dev.productId);
-		let idArg = null;
-		let idVal = null;
-		if (process.platform === 'linux') {
+		let idArg = '-S';
+		let idVal = dev.id;
+		const usbPort = usbPortForDevice(dev);
+		if (process.platform === 'linux' && usbPort) {
 			// Use bus/port numbers to identify the device on Linux
-			const d = dev.usbDevice._dev; // FIXME
 			idArg = '-p';
-			idVal = d.busNumber.toString() + '-' + d.portNumbers.join('.');
-		} else {
-			idArg = '-S';
-			idVal = dev.id;
+			idVal = usbPort;
 		}
-		const args = [
+		args = [
 			'-d', vidPid,
 			idArg, idVal,
-			'-a', alt.toString(),
-			'-s', toUInt32Hex(address),
-			'-D', file
+			...args
 		];
 		await this._dev.close();
 		this._dev = null;
 		this._log.debug('$', formatCommand('dfu-util', args));
-		const r = await execCommand('dfu-util', args, { timeout: FLASH_TIMEOUT });
+		const r = await execCommand('dfu-util', args, { timeout: FLASH_TIMEOUT, onOutput });
 		// Reopen device
 		await dev.open();
 		this._dev = dev;
@@ -96,15 +153,6 @@ class DfuDevice extends Device {
 			throw new Error(`dfu-util exited with code ${r.exitCode}` + ('\n' + r.stderr).trimRight());
 		}
 	}
-
-	canFlashModule(module) {
-		return (module.type !== ModuleType.BOOTLOADER && this.canWriteToFlash(module.storage));
-	}
-
-	canWriteToFlash(storage) {
-		const alt = this._platform.dfuAltSettingForStorage(storage);
-		return (alt !== null);
-	}
 }
 
 class DfuFlashInterface extends FlashInterface {
@@ -123,14 +171,23 @@ class DfuFlashInterface extends FlashInterface {
 	async shutdown() {
 	}
 
-	async listDevices() {
+	async listDevices({ ignoredUsbPorts = [] } = {}) {
 		const devs = [];
 		const usbDevs = await usb.getDevices();
 		for (const usbDev of usbDevs) {
+			if (ignoredUsbPorts.includes(usbPortForDevice(usbDev))) {
+				continue;
+			}
 			try {
 				await usbDev.open();
 				const id = usbDev.id;
-				devs.push(new DfuDevice({ id, platformId: usbDev.platformId, log: this._log }));
+				devs.push(new DfuDevice({
+					id,
+					platformId: usbDev.platformId,
+					usbPort: usbPortForDevice(usbDev),
+					dfuMode: usbDev.isInDfuMode,
+					log: this._log
+				}));
 			} catch (_err) {
 				// Ignore error
 			} finally {
@@ -142,7 +199,13 @@ class DfuFlashInterface extends FlashInterface {
 
 	async openDeviceById(id, options) {
 		const usbDev = await openUsbDeviceById(id, options);
-		return new DfuDevice({ id: usbDev.id, platformId: usbDev.platformId, device: usbDev, log: this._log });
+		return new DfuDevice({
+			id: usbDev.id,
+			platformId: usbDev.platformId,
+			usbPort: usbPortForDevice(usbDev),
+			device: usbDev,
+			log: this._log
+		});
 	}
 }
 
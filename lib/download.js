@@ -0,0 +1,118 @@
+'use strict';
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
+
+const MAX_REDIRECTS = 10;
+const DEFAULT_TIMEOUT = 60000;
+
+function httpGet(url, { headers, timeout, redirects = MAX_REDIRECTS }) {
+	return new Promise((resolve, reject) => {
+		const u = new URL(url);
+		let proto = null;
+		if (u.protocol === 'https:') {
+			proto = https;
+		} else if (u.protocol === 'http:') {
+			proto = http;
+		} else {
+			reject(new Error(`Unsupported URL: ${url}`));
+			return;
+		}
+		const req = proto.get(u, { headers }, resp => {
+			const location = resp.headers.location;
+			if (resp.statusCode >= 300 && resp.statusCode < 400 && location) {
+				resp.resume();
+				if (!redirects) {
+					reject(new Error('Too many redirects'));
+					return;
+				}
+				const nextUrl = new URL(location, u);
+				if (nextUrl.host !== u.host) {
+					// Do not leak the access token to a different host (e.g. GitHub redirects asset
+					// downloads to a storage service that rejects requests with unexpected credentials)
+					headers = { ...headers };
+					delete headers.authorization;
+				}
+				resolve(httpGet(nextUrl.href, { headers, timeout, redirects: redirects - 1 }));
+				return;
+			}
+			resolve(resp);
+		});
+		req.setTimeout(timeout, () => req.destroy(new Error('Request timed out')));
+		req.on('error', reject);
+	});
+}
+
+// Downloads a file over HTTP(S). The data is first written to <file>.part, so that an interrupted
+// download can be resumed by calling this function again. If `size` or `sha256` are specified, the
+// downloaded file is checked against them and the partial file is removed on a mismatch
+async function downloadFile(url, file, { headers = {}, size = null, sha256 = null, timeout = DEFAULT_TIMEOUT, onProgress = null } = {}) {
+	const partFile = file + '.part';
+	let offset = 0;
+	if (fs.existsSync(partFile)) {
+		offset = fs.statSync(partFile).size;
+		if (size !== null && offset > size) {
+			fs.unlinkSync(partFile);
+			offset = 0;
+		}
+	}
+	if (size === null || offset < size) {
+		let resp = await httpGet(url, { headers: offset ? { ...headers, range: `bytes=${offset}-` } : headers, timeout });
+		if (resp.statusCode === 416 && offset) {
+			// The partial file doesn't match the remote file. Start over
+			resp.resume();
+			fs.unlinkSync(partFile);
+			offset = 0;
+			resp = await httpGet(url, { headers, timeout });
+		}
+		if (resp.statusCode === 200) {
+			offset = 0; // The server doesn't support range requests
+		} else if (resp.statusCode !== 206 || !offset) {
+			resp.resume();
+			throw new Error(`Unexpected HTTP status: ${resp.statusCode}`);
+		}
+		let total = size;
+		const contentLength = resp.headers['content-length'];
+		if (total === null && contentLength !== undefined) {
+			total = offset + Number.parseInt(contentLength);
+		}
+		let bytes = offset;
+		if (onProgress) {
+			onProgress(bytes, total);
+		}
+		const progress = new Transform({
+			transform(chunk, encoding, callback) {
+				bytes += chunk.length;
+				if (onProgress) {
+					onProgress(bytes, total);
+				}
+				callback(null, chunk);
+			}
+		});
+		await pipeline(resp, progress, fs.createWriteStream(partFile, { flags: offset ? 'a' : 'w' }));
+	}
+	const actualSize = fs.statSync(partFile).size;
+	if (size !== null && actualSize !== size) {
+		if (actualSize > size) {
+			fs.unlinkSync(partFile);
+		}
+		throw new Error(`Size mismatch: expected ${size} bytes, got ${actualSize} bytes`);
+	}
+	if (sha256) {
+		const hash = crypto.createHash('sha256');
+		await pipeline(fs.createReadStream(partFile), hash);
+		const actualSha256 = hash.digest('hex');
+		if (actualSha256 !== sha256.toLowerCase()) {
+			fs.unlinkSync(partFile);
+			throw new Error(`SHA-256 mismatch: expected ${sha256}, got ${actualSha256}`);
+		}
+	}
+	fs.renameSync(partFile, file);
+}
+
+module.exports = {
+	downloadFile
+};
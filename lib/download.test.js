@@ -0,0 +1,115 @@
+'use strict';
+const { downloadFile } = require('./download');
+
+const { expect } = require('chai');
+const tmp = require('tmp');
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+describe('downloadFile (download.js)', () => {
+	const data = crypto.randomBytes(64 * 1024);
+	const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+	let tempDir = null;
+	let server = null;
+	let port = null;
+	let requests = null;
+
+	beforeEach(async () => {
+		tempDir = tmp.dirSync({ unsafeCleanup: true });
+		requests = [];
+		server = http.createServer((req, resp) => {
+			requests.push({ url: req.url, headers: req.headers });
+			if (req.url === '/redirect') {
+				// Redirect to a different host
+				resp.writeHead(302, { location: `http://localhost:${port}/file` });
+				resp.end();
+				return;
+			}
+			if (req.url !== '/file') {
+				resp.writeHead(404);
+				resp.end();
+				return;
+			}
+			const range = req.headers.range && req.headers.range.match(/^bytes=(\d+)-$/);
+			if (range) {
+				const offset = Number.parseInt(range[1]);
+				if (offset >= data.length) {
+					resp.writeHead(416);
+					resp.end();
+					return;
+				}
+				resp.writeHead(206, { 'content-length': data.length - offset });
+				resp.end(data.slice(offset));
+				return;
+			}
+			resp.writeHead(200, { 'content-length': data.length });
+			resp.end(data);
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+		port = server.address().port;
+	});
+
+	afterEach(async () => {
+		await new Promise(resolve => server.close(resolve));
+		tempDir.removeCallback();
+	});
+
+	it('downloads a file and verifies its size and SHA-256 hash', async () => {
+		const file = path.join(tempDir.name, 'file.bin');
+		const progress = [];
+		await downloadFile(`http://127.0.0.1:${port}/file`, file, {
+			size: data.length,
+			sha256,
+			onProgress: (bytes, total) => progress.push({ bytes, total })
+		});
+		expect(fs.readFileSync(file).equals(data)).to.be.true;
+		expect(fs.existsSync(file + '.part')).to.be.false;
+		expect(progress[progress.length - 1]).to.deep.equal({ bytes: data.length, total: data.length });
+	});
+
+	it('resumes a partial download', async () => {
+		const file = path.join(tempDir.name, 'file.bin');
+		fs.writeFileSync(file + '.part', data.slice(0, 1000));
+		await downloadFile(`http://127.0.0.1:${port}/file`, file, { size: data.length, sha256 });
+		expect(requests[0].headers.range).to.equal('bytes=1000-');
+		expect(fs.readFileSync(file).equals(data)).to.be.true;
+	});
+
+	it('removes the partial file if the SHA-256 hash does not match', async () => {
+		const file = path.join(tempDir.name, 'file.bin');
+		const wrongSha256 = crypto.createHash('sha256').update('abcd').digest('hex');
+		let error = null;
+		try {
+			await downloadFile(`http://127.0.0.1:${port}/file`, file, { sha256: wrongSha256 });
+		} catch (err) {
+			error = err;
+		}
+		expect(error).to.be.an('error').with.property('message').that.matches(/^SHA-256 mismatch/);
+		expect(fs.existsSync(file)).to.be.false;
+		expect(fs.existsSync(file + '.part')).to.be.false;
+	});
+
+	it('fails if the file size does not match', async () => {
+		const file = path.join(tempDir.name, 'file.bin');
+		let error = null;
+		try {
+			await downloadFile(`http://127.0.0.1:${port}/file`, file, { size: data.length - 1 });
+		} catch (err) {
+			error = err;
+		}
+		expect(error).to.be.an('error').with.property('message',
+			`Size mismatch: expected ${data.length - 1} bytes, got ${data.length} bytes`);
+	});
+
+	it('does not send the authorization header when redirected to a different host', async () => {
+		const file = path.join(tempDir.name, 'file.bin');
+		await downloadFile(`http://127.0.0.1:${port}/redirect`, file, { headers: { authorization: 'Bearer secret' } });
+		expect(requests.map(r => r.url)).to.deep.equal(['/redirect', '/file']);
+		expect(requests[0].headers.authorization).to.equal('Bearer secret');
+		expect(requests[1].headers).to.not.have.property('authorization');
+		expect(fs.readFileSync(file).equals(data)).to.be.true;
+	});
+});
@@ -1,65 +1,174 @@
 'use strict';
-const { delay } = require('./util');
+const { delay, toUInt32Hex } = require('./util');
 
 const { default: chalk } = require('chalk');
 const mkdirp = require('mkdirp');
 
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
 
-const { DependencyWalker } = require('./dependency');
+const { DependencyWalker, DependencyChecker, formatModule } = require('./dependency');
+const { ModuleType, platformForId } = require('./platform');
+const { DeviceMode, InterfaceType } = require('./device');
 
 // This timeout should be long enough to allow the bootloader apply an update
 const REOPEN_TIMEOUT = 60000;
 // When reopening a device that was about to reset, give it some time to boot into the firmware
 const REOPEN_DELAY = 3000;
+// Timeout for opening a device in order to query its module info
+const QUERY_OPEN_TIMEOUT = 3000;
 
-class Flasher {
-	constructor({ name, device, dfu, usb, tempDir, log }) {
+// Emits the following events:
+//   module-start: Flashing of a module has started. Has a `module` property.
+//   progress: Progress of flashing a module. Has `module`, `bytes` and `total` properties.
+//   module-done: A module has been flashed. Has `module`, `duration` and `verified` properties.
+//   reset: The device is about to be reset.
+//   erase: The flash memory of the device is about to be erased.
+//   retry: An operation has failed and is going to be retried. Has `module` and `error` properties.
+class Flasher extends EventEmitter {
+	constructor({ name, device, dfu, usb, tempDir, reopenDelay = REOPEN_DELAY, log }) {
+		super();
 		this._log = log;
 		this._tempDir = tempDir;
 		this._name = name;
 		this._dev = device;
 		this._dfu = dfu;
 		this._usb = usb;
+		this._reopenDelay = reopenDelay; // Delay before opening the device after a reset
 		this._retriesLeft = 0;
+		this._verify = false;
+		this._results = []; // Results for the modules that were attempted to be flashed
+		this._error = null;
+		this._module = null; // Module that is being flashed
+		this._onDeviceProgress = ({ bytes, total }) => this.emit('progress', { module: this._module, bytes, total });
+		this._onDeviceReset = () => this.emit('reset');
+		this._dev.on('progress', this._onDeviceProgress);
+		this._dev.on('reset', this._onDeviceReset);
 	}
 
-	async run(modules, { maxRetries = 0 } = {}) {
+	async run(modules, { maxRetries = 0, verify = false, skipCurrent = false, force = false, erase = false, validate = false } = {}) {
+		try {
+			if (erase && !this._dev.canEraseFlash()) {
+				throw new Error('Erasing the flash memory is not supported for this device');
+			}
+			const { flashModules, otaModules, skippedModules } = await this.plan(modules, { skipCurrent, force, erase });
+			for (const m of skippedModules) {
+				this._moduleSkipped(m);
+			}
+			this._retriesLeft = maxRetries;
+			this._verify = verify;
+			if (erase) {
+				await this._eraseFlash();
+			}
+			if (!flashModules.length && !otaModules.length) {
+				if (!erase) {
+					this._log.warn('Module list is empty');
+				}
+				return;
+			}
+			if (verify && otaModules.length) {
+				this._log.verbose('Modules flashed via control requests will not be verified');
+			}
+			if (flashModules.length) {
+				await this._flashModules(flashModules);
+			}
+			if (otaModules.length) {
+				if (flashModules.length) {
+					this._log.verbose('Using control requests to flash remaining modules');
+				}
+				await this._updateModules(otaModules);
+			}
+			if (validate) {
+				await this._validate([...flashModules, ...otaModules, ...skippedModules]);
+			}
+		} catch (err) {
+			this._error = err;
+			throw err;
+		}
+		this._log.verbose(chalk.green.bold('Flashed successfully'));
+	}
+
+	// If `erase` is true, the modules are planned as if the device's flash memory was empty
+	async plan(modules, { skipCurrent = false, force = false, erase = false } = {}) {
 		// Filter modules by target platform
 		modules = modules.filter(m => m.platformId === this._dev.platformId);
-		if (!modules.length) {
-			this._log.warn('Module list is empty');
-			return;
+		if (erase) {
+			// An encrypted module can only be restored from an encrypted binary. Erasing the flash memory
+			// without one would leave the device unbootable
+			const platform = platformForId(this._dev.platformId);
+			for (const { type, index } of platform.encryptedModules) {
+				if (!modules.some(m => m.type === type && m.index === index && m.encrypted)) {
+					throw new Error(`Erasing the flash memory of this device requires an encrypted binary of ${type} ${index}`);
+				}
+			}
 		}
-
-		const depWalker = new DependencyWalker({ log: this._log });
-		modules = depWalker.sortByDependencies(modules);
-
 		const flashModules = []; // Modules that can be flashed directly
 		const otaModules = []; // Modules that can only be flashed OTA
-		for (const m of modules) {
+		const skippedModules = []; // Modules that are already installed on the device
+		modules = modules.filter(m => {
 			if (m.needsToBeEncrypted && !m.encrypted) {
 				this._log.warn(`Skipping ${path.basename(m.file)}. It's required to be encrypted`);
-				continue;
+				return false;
 			}
-			if (this._dev.canFlashModule(m) && (this._dev.canWriteToFlash(m.storage) && this._dfu)) {
-				flashModules.push(m);
+			return true;
+		});
+		if (!modules.length) {
+			return { flashModules, otaModules, skippedModules };
+		}
+
+		// A monolithic firmware occupies the flash regions of the system and user parts
+		if (modules.some(m => m.type === ModuleType.MONO_FIRMWARE) &&
+				modules.some(m => m.type === ModuleType.SYSTEM_PART || m.type === ModuleType.USER_PART)) {
+			throw new Error('Monolithic firmware cannot be flashed together with system or user parts');
+		}
+
+		const depWalker = new DependencyWalker({ log: this._log });
+		modules = Array.from(depWalker.sortByDependencies(modules));
+
+		let installed = erase ? [] : null;
+		// Querying the device takes a while so only do that if the result is going to be used
+		const hasExternalDeps = modules.some(m => m.dependencies.some(d => !modules.some(m2 => m2.func === d.func &&
+				m2.index === d.index)));
+		if (!erase && (skipCurrent || hasExternalDeps) && this._canQueryModules()) {
+			installed = await this._getInstalledModules();
+		}
+		if (skipCurrent && !erase) {
+			if (installed) {
+				modules = modules.filter(m => {
+					const isCurrent = installed.some(m2 => m2.func === m.func && m2.index === m.index &&
+							m2.version === m.version && m2.valid);
+					if (isCurrent) {
+						this._log.verbose(`Skipping ${path.basename(m.file)}. It's already installed`);
+						skippedModules.push(m);
+					}
+					return !isCurrent;
+				});
 			} else {
-				otaModules.push(m);
+				this._log.warn('Unable to determine installed modules; flashing all modules');
 			}
 		}
-		this._retriesLeft = maxRetries;
-		if (flashModules.length) {
-			await this._flashModules(flashModules);
+
+		const depChecker = new DependencyChecker({ log: this._log });
+		const problems = depChecker.check(modules, { installedModules: installed });
+		if (problems.length) {
+			if (!force) {
+				throw new Error('Unsatisfied module dependencies:\n' + problems.map(p => '  ' + p.message).join('\n') +
+						'\nUse --force to flash anyway');
+			}
+			for (const p of problems) {
+				this._log.warn(p.message);
+			}
 		}
-		if (otaModules.length) {
-			if (flashModules.length) {
-				this._log.verbose('Using control requests to flash remaining modules');
+
+		for (const m of modules) {
+			if (this._dev.canFlashModule(m) && (this._dev.canWriteToFlash(m.storage) && this._dfu)) {
+				flashModules.push(m);
+			} else {
+				otaModules.push(m);
 			}
-			await this._updateModules(otaModules);
 		}
-		this._log.verbose(chalk.green.bold('Flashed successfully'));
+		return { flashModules, otaModules, skippedModules };
 	}
 
 	async _flashModules(modules) {
@@ -91,13 +200,25 @@ class Flasher {
 					const m = modules[0];
 					let file = m.file;
 					this._log.verbose('Flashing', path.basename(file));
+					this._moduleStarted(m);
 					if (m.dropHeader) {
 						file = this._dropModuleHeader(m.file, m.headerSize);
 					}
 					let t = Date.now();
 					await this._dev.writeToFlash(file, m.storage, m.address);
-					t = Math.round((Date.now() - t) / 100) / 10;
-					this._log.debug(`Flashed in ${t}s`);
+					t = Date.now() - t;
+					this._log.debug(`Flashed in ${Math.round(t / 100) / 10}s`);
+					let verified = false;
+					if (this._verify) {
+						if (this._dev.canReadFromFlash(m.storage)) {
+							this._log.verbose('Verifying', path.basename(m.file));
+							await this._verifyFlash(file, m.storage, m.address);
+							verified = true;
+						} else {
+							this._log.warn(`Unable to verify ${path.basename(m.file)}: reading from ${m.storage} is not supported`);
+						}
+					}
+					this._moduleFlashed(m, t, { verified });
 					modules.shift();
 					if (!modules.length) {
 						needReset = true;
@@ -114,11 +235,13 @@ class Flasher {
 					isOpen = false;
 					needReset = true;
 				}
+				this._moduleFailed(modules[0], err, { retry: !!this._retriesLeft });
 				if (!this._retriesLeft) {
 					throw err;
 				}
 				this._log.warn(err.message);
 				this._log.warn('Retrying');
+				this.emit('retry', { module: modules[0] || null, error: err.message });
 				--this._retriesLeft;
 			}
 		}
@@ -127,6 +250,31 @@ class Flasher {
 		}
 	}
 
+	async _eraseFlash() {
+		for (;;) {
+			try {
+				await this._dev.open();
+				try {
+					await this._dev.prepareToFlash();
+					this._log.verbose('Erasing flash memory');
+					this.emit('erase');
+					await this._dev.eraseFlash();
+				} finally {
+					await this._dev.close();
+				}
+				break;
+			} catch (err) {
+				if (!this._retriesLeft) {
+					throw err;
+				}
+				this._log.warn(err.message);
+				this._log.warn('Retrying');
+				this.emit('retry', { module: null, error: err.message });
+				--this._retriesLeft;
+			}
+		}
+	}
+
 	async _updateModules(modules) {
 		modules = [...modules];
 		let needReset = false;
@@ -138,9 +286,11 @@ class Flasher {
 				}
 				let prepare = false;
 				if (!dev) {
-					await delay(REOPEN_DELAY);
+					await delay(this._reopenDelay);
 					dev = await this._usb.openDeviceById(this._dev.id, { timeout: REOPEN_TIMEOUT });
 					dev.log = this._log;
+					dev.on('progress', this._onDeviceProgress);
+					dev.on('reset', this._onDeviceReset);
 					prepare = true;
 				}
 				if (modules.length) {
@@ -150,10 +300,12 @@ class Flasher {
 					}
 					const m = modules[0];
 					this._log.verbose('Flashing', path.basename(m.file));
+					this._moduleStarted(m);
 					let t = Date.now();
 					const r = await dev.flashModule(m);
-					t = Math.round((Date.now() - t) / 100) / 10;
-					this._log.debug(`Flashed in ${t}s`);
+					t = Date.now() - t;
+					this._log.debug(`Flashed in ${Math.round(t / 100) / 10}s`);
+					this._moduleFlashed(m, t);
 					if (r && r.resetPending) {
 						await dev.close();
 						dev = null;
@@ -173,11 +325,13 @@ class Flasher {
 					await dev.close();
 					dev = null;
 				}
+				this._moduleFailed(modules[0], err, { retry: !!this._retriesLeft });
 				if (!this._retriesLeft) {
 					throw err;
 				}
 				this._log.warn(err.message);
 				this._log.warn('Retrying');
+				this.emit('retry', { module: modules[0] || null, error: err.message });
 				--this._retriesLeft;
 			}
 		}
@@ -194,25 +348,152 @@ class Flasher {
 		return this._log;
 	}
 
-	_dropModuleHeader(file, headerSize) {
+	get results() {
+		return this._results;
+	}
+
+	get error() {
+		return this._error;
+	}
+
+	_moduleStarted(module) {
+		this._module = module;
+		this.emit('module-start', { module });
+	}
+
+	_moduleFlashed(module, duration, { verified = false } = {}) {
+		const r = this._moduleResult(module);
+		r.ok = true;
+		r.duration = duration;
+		r.verified = verified;
+		r.error = null;
+		this._module = null;
+		this.emit('module-done', { module, duration, verified });
+	}
+
+	_moduleSkipped(module) {
+		const r = this._moduleResult(module);
+		r.ok = true;
+		r.skipped = true;
+	}
+
+	_moduleFailed(module, err, { retry = false } = {}) {
+		if (!module) {
+			return; // The error is not related to any particular module
+		}
+		const r = this._moduleResult(module);
+		if (retry) {
+			++r.retries;
+		} else {
+			r.error = err.message;
+		}
+	}
+
+	_moduleResult(module) {
+		let r = this._results.find(r => r.module === module);
+		if (!r) {
+			r = { module, ok: false, skipped: false, duration: null, verified: false, retries: 0, error: null };
+			this._results.push(r);
+		}
+		return r;
+	}
+
+	// Debuggers and devices in DFU mode cannot answer control requests
+	_canQueryModules() {
+		const type = this._dev.interfaceType;
+		return (type === InterfaceType.USB || (type === InterfaceType.DFU && !this._dev.isInDfuMode));
+	}
+
+	async _getInstalledModules() {
+		let dev = null;
+		try {
+			this._log.verbose('Getting module info');
+			dev = await this._usb.openDeviceById(this._dev.id, { timeout: QUERY_OPEN_TIMEOUT });
+			dev.log = this._log;
+			return await dev.getFirmwareModules();
+		} catch (err) {
+			this._log.verbose(`Unable to get module info: ${err.message}`);
+			return null;
+		} finally {
+			if (dev) {
+				await dev.close();
+			}
+		}
+	}
+
+	// Checks that the device is running the expected module versions and is not in safe mode
+	async _validate(modules) {
+		this._log.verbose('Validating installed modules');
+		let installed = null;
+		let mode = null;
+		let dev = null;
+		try {
+			await delay(this._reopenDelay);
+			dev = await this._usb.openDeviceById(this._dev.id, { timeout: REOPEN_TIMEOUT });
+			dev.log = this._log;
+			mode = await dev.getDeviceMode();
+			const version = await dev.getSystemVersion();
+			this._log.verbose(`Device mode: ${mode}; Device OS version: ${version || 'unknown'}`);
+			installed = await dev.getFirmwareModules();
+		} catch (err) {
+			throw new Error(`Unable to get module info for validation: ${err.message}`);
+		} finally {
+			if (dev) {
+				await dev.close();
+			}
+		}
+		const problems = [];
+		if (mode !== DeviceMode.NORMAL && mode !== DeviceMode.LISTENING) {
+			problems.push(`Device is in an unexpected mode: ${mode}`);
+		}
+		for (const m of modules) {
+			const m2 = installed.find(m2 => m2.func === m.func && m2.index === m.index);
+			if (!m2) {
+				this._log.verbose(`Unable to validate ${formatModule(m)}: module info is not available`);
+			} else if (m2.version !== m.version) {
+				problems.push(`${formatModule(m)}: expected version ${m.version}, device reports ${m2.version}`);
+			}
+		}
+		// The device enters safe mode if it finds any of its modules invalid, including modules with
+		// unsatisfied dependencies
+		const safeModeReasons = installed.filter(m => !m.valid).map(m => `${formatModule(m)} is invalid: ${m.validityErrors.join(', ')}`);
+		if (safeModeReasons.length) {
+			problems.push('Device is in safe mode:', ...safeModeReasons.map(r => '  ' + r));
+		}
+		if (problems.length) {
+			throw new Error('Validation failed:\n' + problems.map(p => '  ' + p).join('\n'));
+		}
+		this._log.verbose('Installed modules are valid');
+	}
+
+	async _verifyFlash(file, storage, address) {
+		const expected = fs.readFileSync(file);
 		const tempDir = path.join(this._tempDir, this._name);
 		const ext = path.extname(file);
-		const destFile = path.join(tempDir, path.basename(file, ext) + '-no-header' + ext);
-		if (!fs.existsSync(destFile)) {
-			mkdirp.sync(tempDir);
-			let data = fs.readFileSync(file);
-			data = data.slice(headerSize);
-			fs.writeFileSync(destFile, data);
+		const readFile = path.join(tempDir, path.basename(file, ext) + '-readback' + ext);
+		mkdirp.sync(tempDir);
+		if (fs.existsSync(readFile)) {
+			fs.unlinkSync(readFile); // dfu-util refuses to overwrite existing files
+		}
+		await this._dev.readFromFlash(readFile, storage, address, expected.length);
+		const actual = fs.readFileSync(readFile);
+		if (actual.length !== expected.length) {
+			throw new Error(`Verification failed: expected ${expected.length} bytes, read ${actual.length}`);
+		}
+		const offs = expected.findIndex((b, i) => b !== actual[i]);
+		if (offs !== -1) {
+			throw new Error(`Verification failed: data mismatch at address ${toUInt32Hex(address + offs)}`);
 		}
-		return destFile;
 	}
 
-	_genBlankFile(size) {
+	_dropModuleHeader(file, headerSize) {
 		const tempDir = path.join(this._tempDir, this._name);
-		const destFile = path.join(tempDir, `blank-${size}.bin`);
+		const ext = path.extname(file);
+		const destFile = path.join(tempDir, path.basename(file, ext) + '-no-header' + ext);
 		if (!fs.existsSync(destFile)) {
 			mkdirp.sync(tempDir);
-			const data = Buffer.alloc(size, 0xff); // FIXME
+			let data = fs.readFileSync(file);
+			data = data.slice(headerSize);
 			fs.writeFileSync(destFile, data);
 		}
 		return destFile;
@@ -0,0 +1,351 @@
+'use strict';
+const { Flasher } = require('./flasher');
+const { Device, DeviceMode, InterfaceType } = require('./device');
+const { ModuleType, StorageType, platformForName } = require('./platform');
+const { Logger, LogLevel } = require('./log');
+
+const { expect } = require('chai');
+const tmp = require('tmp');
+
+const fs = require('fs');
+const path = require('path');
+
+const PLATFORM_ID = 13; // Boron
+
+class FakeDevice extends Device {
+	constructor({ interfaceType = InterfaceType.DFU, ...options }) {
+		super(options);
+		this.type = interfaceType;
+		this.writeErrors = [];
+		this.flashData = null;
+		this.ops = []; // Performed flash operations
+	}
+
+	async eraseFlash() {
+		this.ops.push('erase');
+	}
+
+	async reset() {
+		this.emit('reset');
+	}
+
+	async writeToFlash(/* file, storage, address */) {
+		const err = this.writeErrors.shift();
+		if (err) {
+			throw err;
+		}
+		this.ops.push('write');
+		this.emit('progress', { bytes: 1024, total: 1024 });
+	}
+
+	async readFromFlash(file /* , storage, address, size */) {
+		fs.writeFileSync(file, this.flashData);
+	}
+
+	canReadFromFlash(storage) {
+		return (storage === StorageType.INTERNAL_FLASH);
+	}
+
+	canFlashModule(module) {
+		return (module.type !== ModuleType.BOOTLOADER && this.canWriteToFlash(module.storage));
+	}
+
+	canWriteToFlash(storage) {
+		return (storage === StorageType.INTERNAL_FLASH);
+	}
+
+	canEraseFlash() {
+		return true;
+	}
+
+	get interfaceType() {
+		return this.type;
+	}
+}
+
+function makeModule(props) {
+	return {
+		platformId: PLATFORM_ID,
+		index: 0,
+		version: 1000,
+		storage: StorageType.INTERNAL_FLASH,
+		address: 0,
+		dependencies: [],
+		...props
+	};
+}
+
+describe('Flasher', () => {
+	const log = new Logger({ level: LogLevel.ERROR });
+
+	let tempDir = null;
+
+	beforeEach(() => {
+		tempDir = tmp.dirSync({ unsafeCleanup: true });
+	});
+
+	afterEach(() => {
+		tempDir.removeCallback();
+	});
+
+	function makeFlasher({ dfu = {}, usb = {}, platformId = PLATFORM_ID } = {}) {
+		const device = new FakeDevice({ id: 'e00fce68ffffffffffffffff', platformId, log });
+		return new Flasher({ name: 'device_1', device, dfu, usb, tempDir: tempDir.name, reopenDelay: 0, log });
+	}
+
+	describe('plan', () => {
+		it('splits modules between direct writes and control requests in dependency order', async () => {
+			const bootloader = makeModule({ type: ModuleType.BOOTLOADER, func: 2, file: 'bootloader.bin' });
+			const system = makeModule({
+				type: ModuleType.SYSTEM_PART,
+				func: 4,
+				index: 1,
+				file: 'system-part1.bin',
+				dependencies: [{ func: 2, index: 0, version: 1000 }]
+			});
+			const user = makeModule({
+				type: ModuleType.USER_PART,
+				func: 5,
+				index: 1,
+				file: 'tinker.bin',
+				dependencies: [{ func: 4, index: 1, version: 1000 }]
+			});
+			const f = makeFlasher();
+			const { flashModules, otaModules } = await f.plan([user, system, bootloader]);
+			expect(flashModules).to.deep.equal([system, user]);
+			expect(otaModules).to.deep.equal([bootloader]);
+		});
+
+		it('does not allow flashing monolithic firmware together with system parts', async () => {
+			const mono = makeModule({ type: ModuleType.MONO_FIRMWARE, func: 3, file: 'boron-mono.bin' });
+			const system = makeModule({ type: ModuleType.SYSTEM_PART, func: 4, index: 1, file: 'system-part1.bin' });
+			let error = null;
+			try {
+				await makeFlasher().plan([mono, system]);
+			} catch (err) {
+				error = err;
+			}
+			expect(error).to.be.an('error').with.property('message', 'Monolithic firmware cannot be flashed together with system or user parts');
+			const { flashModules } = await makeFlasher().plan([mono]);
+			expect(flashModules).to.deep.equal([mono]);
+		});
+
+		it('ignores modules for other platforms', async () => {
+			const m = makeModule({ type: ModuleType.SYSTEM_PART, platformId: 12, file: 'system-part1.bin' });
+			const { flashModules, otaModules } = await makeFlasher().plan([m]);
+			expect(flashModules).to.be.empty;
+			expect(otaModules).to.be.empty;
+		});
+
+		it('uses control requests when DFU is not available', async () => {
+			const m = makeModule({ type: ModuleType.SYSTEM_PART, file: 'system-part1.bin' });
+			const { flashModules, otaModules } = await makeFlasher({ dfu: null }).plan([m]);
+			expect(flashModules).to.be.empty;
+			expect(otaModules).to.deep.equal([m]);
+		});
+
+		it('skips modules that are required to be encrypted', async () => {
+			const m = makeModule({ type: ModuleType.BOOTLOADER, needsToBeEncrypted: true, encrypted: false, file: 'prebootloader.bin' });
+			const { flashModules, otaModules } = await makeFlasher().plan([m]);
+			expect(flashModules).to.be.empty;
+			expect(otaModules).to.be.empty;
+		});
+
+		it('skips modules that are already installed if requested', async () => {
+			const system = makeModule({ type: ModuleType.SYSTEM_PART, func: 4, index: 1, version: 1000, file: 'system-part1.bin' });
+			const user = makeModule({ type: ModuleType.USER_PART, func: 5, index: 1, version: 6, file: 'tinker.bin' });
+			const installed = [
+				{ func: 4, index: 1, version: 1000, valid: true, dependencies: [] },
+				{ func: 5, index: 1, version: 5, valid: true, dependencies: [] }
+			];
+			const usb = {
+				openDeviceById: async () => ({
+					getFirmwareModules: async () => installed,
+					close: async () => {}
+				})
+			};
+			const { flashModules, skippedModules } = await makeFlasher({ usb }).plan([system, user], { skipCurrent: true });
+			expect(flashModules).to.deep.equal([user]);
+			expect(skippedModules).to.deep.equal([system]);
+		});
+
+		it('queries the installed modules only if the result is going to be used', async () => {
+			const system = makeModule({ type: ModuleType.SYSTEM_PART, func: 4, index: 1, file: 'system-part1.bin' });
+			const user = makeModule({
+				type: ModuleType.USER_PART,
+				func: 5,
+				index: 1,
+				file: 'tinker.bin',
+				dependencies: [{ func: 4, index: 1, version: 1000 }]
+			});
+			let queries = 0;
+			const usb = {
+				openDeviceById: async () => {
+					++queries;
+					return { getFirmwareModules: async () => [], close: async () => {} };
+				}
+			};
+			await makeFlasher({ usb }).plan([system, user]);
+			expect(queries).to.equal(0);
+			const f = makeFlasher({ usb });
+			f.device.type = InterfaceType.OPENOCD;
+			await f.plan([system, user], { skipCurrent: true });
+			expect(queries).to.equal(0);
+			await makeFlasher({ usb }).plan([user], { force: true });
+			expect(queries).to.equal(1);
+		});
+	});
+
+	describe('run', () => {
+		it('records the result of flashing each module', async () => {
+			const system = makeModule({ type: ModuleType.SYSTEM_PART, func: 4, index: 1, file: 'system-part1.bin' });
+			const user = makeModule({ type: ModuleType.USER_PART, func: 5, index: 1, file: 'tinker.bin' });
+			const f = makeFlasher();
+			f.device.writeErrors = [new Error('Timeout')];
+			await f.run([system, user], { maxRetries: 1 });
+			expect(f.error).to.be.null;
+			expect(f.results).to.have.lengthOf(2);
+			const [first, second] = f.results;
+			expect(first).to.include({ ok: true, retries: 1, error: null });
+			expect(second).to.include({ ok: true, retries: 0, error: null });
+			expect([first.module, second.module]).to.have.members([system, user]);
+		});
+
+		it('records the error if a module cannot be flashed', async () => {
+			const system = makeModule({ type: ModuleType.SYSTEM_PART, func: 4, index: 1, file: 'system-part1.bin' });
+			const f = makeFlasher();
+			f.device.writeErrors = [new Error('Timeout'), new Error('Device is not open')];
+			let error = null;
+			try {
+				await f.run([system], { maxRetries: 1 });
+			} catch (err) {
+				error = err;
+			}
+			expect(error).to.be.an('error');
+			expect(f.error).to.equal(error);
+			expect(f.results[0]).to.include({ module: system, ok: false, retries: 1, error: 'Device is not open' });
+		});
+
+		it('emits progress events', async () => {
+			const system = makeModule({ type: ModuleType.SYSTEM_PART, func: 4, index: 1, file: 'system-part1.bin' });
+			const f = makeFlasher();
+			f.device.writeErrors = [new Error('Timeout')];
+			const events = [];
+			for (const type of ['module-start', 'progress', 'module-done', 'reset', 'retry']) {
+				f.on(type, e => events.push({ type, ...e }));
+			}
+			await f.run([system], { maxRetries: 1 });
+			expect(events.map(e => e.type)).to.deep.equal(['module-start', 'retry', 'reset', 'module-start', 'progress',
+				'module-done', 'reset']);
+			expect(events[1]).to.include({ module: system, error: 'Timeout' });
+			expect(events[4]).to.include({ module: system, bytes: 1024, total: 1024 });
+		});
+
+		it('reads the flash contents back if verification is enabled', async () => {
+			const file = path.join(tempDir.name, 'system-part1.bin');
+			fs.writeFileSync(file, Buffer.from([1, 2, 3, 4]));
+			const system = makeModule({ type: ModuleType.SYSTEM_PART, func: 4, index: 1, address: 0x30000, file });
+			const f = makeFlasher();
+			f.device.flashData = Buffer.from([1, 2, 3, 4]);
+			await f.run([system], { verify: true });
+			expect(f.results[0]).to.include({ ok: true, verified: true });
+			f.device.flashData = Buffer.from([1, 2, 0, 4]);
+			let error = null;
+			try {
+				await f.run([system], { verify: true });
+			} catch (err) {
+				error = err;
+			}
+			expect(error).to.be.an('error').with.property('message', 'Verification failed: data mismatch at address 0x00030002');
+		});
+
+		it('erases the flash memory before flashing if requested', async () => {
+			const system = makeModule({ type: ModuleType.SYSTEM_PART, func: 4, index: 1, file: 'system-part1.bin' });
+			const user = makeModule({ type: ModuleType.USER_PART, func: 5, index: 1, file: 'tinker.bin' });
+			const installed = [{ func: 4, index: 1, version: 1000, valid: true, dependencies: [] }];
+			const usb = {
+				openDeviceById: async () => ({ getFirmwareModules: async () => installed, close: async () => {} })
+			};
+			const f = makeFlasher({ usb });
+			const events = [];
+			f.on('erase', () => events.push('erase'));
+			await f.run([system, user], { erase: true, skipCurrent: true });
+			expect(events).to.deep.equal(['erase']);
+			expect(f.device.ops).to.deep.equal(['erase', 'write', 'write']);
+			expect(f.results.every(r => r.ok && !r.skipped)).to.be.true;
+		});
+
+		it('erases the flash memory even if there is nothing to flash', async () => {
+			const other = makeModule({ type: ModuleType.SYSTEM_PART, platformId: PLATFORM_ID + 1, func: 4, index: 1, file: 'system-part1.bin' });
+			for (const modules of [[], [other]]) {
+				const f = makeFlasher();
+				await f.run(modules, { erase: true });
+				expect(f.device.ops).to.deep.equal(['erase']);
+				expect(f.results).to.be.empty;
+			}
+		});
+
+		it('does not erase a device if its encrypted modules cannot be restored', async () => {
+			const platformId = platformForName('p2').id;
+			const prebootloader = makeModule({ type: ModuleType.BOOTLOADER, platformId, func: 2, index: 1, needsToBeEncrypted: true, file: 'prebootloader-part1.bin' });
+			const system = makeModule({ type: ModuleType.SYSTEM_PART, platformId, func: 4, index: 1, file: 'system-part1.bin' });
+			for (const modules of [[], [system], [{ ...prebootloader, encrypted: false }, system]]) {
+				const f = makeFlasher({ platformId });
+				let error = null;
+				try {
+					await f.run(modules, { erase: true });
+				} catch (err) {
+					error = err;
+				}
+				expect(error).to.be.an('error').with.property('message', 'Erasing the flash memory of this device requires an encrypted binary of bootloader 1');
+				expect(f.device.ops).to.be.empty;
+			}
+			const updated = [];
+			const usb = {
+				openDeviceById: async () => Object.assign(new FakeDevice({ interfaceType: InterfaceType.USB, log }), {
+					prepareToFlash: async () => {},
+					flashModule: async m => updated.push(m.file)
+				})
+			};
+			const f = makeFlasher({ usb, platformId });
+			await f.run([{ ...prebootloader, encrypted: true }, system], { erase: true });
+			expect(f.device.ops).to.deep.equal(['erase', 'write']);
+			expect(updated).to.deep.equal(['prebootloader-part1.bin']);
+		});
+
+		it('fails validation if the device is in safe mode or runs a different module version', async () => {
+			const system = makeModule({ type: ModuleType.SYSTEM_PART, func: 4, index: 1, version: 3000, file: 'system-part1.bin' });
+			const installed = [
+				{ func: 4, index: 1, version: 2000, valid: true, validityErrors: [], dependencies: [] },
+				{
+					func: 5,
+					index: 1,
+					version: 6,
+					valid: false,
+					validityErrors: ['DEPENDENCY_CHECK_FAILED'],
+					dependencies: [{ func: 4, index: 1, version: 3000 }]
+				}
+			];
+			const usb = {
+				openDeviceById: async () => ({
+					getDeviceMode: async () => DeviceMode.NORMAL,
+					getSystemVersion: async () => '2.0.0',
+					getFirmwareModules: async () => installed,
+					close: async () => {}
+				})
+			};
+			const f = makeFlasher({ usb });
+			let error = null;
+			try {
+				await f.run([system], { validate: true });
+			} catch (err) {
+				error = err;
+			}
+			expect(error).to.be.an('error');
+			expect(error.message).to.equal('Validation failed:\n' +
+					'  system-part1.bin: expected version 3000, device reports 2000\n' +
+					'  Device is in safe mode:\n' +
+					'    user_part 1 (version 6) is invalid: DEPENDENCY_CHECK_FAILED');
+		});
+	});
+});
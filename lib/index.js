@@ -1,226 +1,139 @@
-#!/usr/bin/env node
 'use strict';
-require('events').EventEmitter.defaultMaxListeners = 0;
-
 const { App } = require('./app');
+const { Flasher } = require('./flasher');
+const { ModuleCache } = require('./module');
+const { InterfaceType } = require('./device');
+const { DfuFlashInterface } = require('./dfu');
+const { UsbFlashInterface } = require('./usb');
+const { OpenOcdFlashInterface } = require('./openocd');
+const { JLinkFlashInterface } = require('./jlink');
+const { ProbeRsFlashInterface } = require('./probers');
+const { GitHubReleaseSource, HttpReleaseSource, LocalReleaseSource, releaseSourceFromString } = require('./source');
+const { moduleTypeFilterArgs } = require('./config');
 const { Logger, LogLevel } = require('./log');
-const { version: PACKAGE_VERSION, description: PACKAGE_DESC } = require('../package.json');
+const { ModuleType } = require('./platform');
 
-const parseArgs = require('minimist');
+const fs = require('fs');
 
 const APP_NAME = 'device-os-flash';
 
-function showUsage() {
-	// eslint-disable-next-line no-console
-	console.log(`\
-${PACKAGE_DESC}
-
-Usage: ${APP_NAME} [options...] <version | path>
-
-version
-    Device OS version number.
-
-path
-    Path to firmware binaries.
-
-Options:
-
--d <device>, --device=<device>
-    Specify the ID or name of the target device.
-
---all-devices
-    Flash all connected devices.
-
---openocd
-    Use OpenOCD to flash devices.
-
---control
-	Use only control requests to flash devices.
-
---system
-    Flash the system firmware.
-
---no-system
-    Do not flash the system firmware.
-
---user
-    Flash the user firmware.
-
---no-user
-    Do not flash the user firmware.
-
---bootloader
-    Flash the bootloader.
-
---no-bootloader
-    Do not flash the bootloader.
-
---ncp
-    Flash the NCP firmware.
-
---no-ncp
-    Do not flash the NCP firmware.
-
---radio
-    Flash the radio stack module.
-
---no-radio
-    Do not flash the radio stack module.
-
---draft
-    Download a draft release.
-
---no-cache
-    Do not use cached firmware binaries.
-
--r <number>, --retries=<number>
-    Set the maximum number of times a failed operation can be retried.
-
---openocd-adapter-save=<path>
-    Save a JSON file mapping device IDs to OpenOCD adapter serial numbers.
-
--j <number>, --jobs=<number>
-    Limit the number of devices that can be flashed simultaneously.
-
--v, --verbose
-    Enable verbose logging.
-
---version
-    Show the version number.
-
--h, --help
-    Show this message.
-
-Environment variables:
-
-PARTICLE_TOKEN
-    Access token for the Particle API.
-
-GITHUB_TOKEN
-    Access token for the GitHub API.`);
-}
-
-// minimist doesn't allow parsing flags like --X and --no-X separately
-function parseModuleTypeArgs(args) {
-	const m = {
-		system: false,
-		noSystem: false,
-		user: false,
-		noUser: false,
-		bootloader: false,
-		noBootloader: false,
-		ncp: false,
-		noNcp: false,
-		radio: false,
-		noRadio: false
-	};
-	let i = 0;
-	while (i < args.length) {
-		let filter = true;
-		switch (args[i]) {
-			case '--system': m.system = true; break;
-			case '--no-system': m.noSystem = true; break;
-			case '--user': m.user = true; break;
-			case '--no-user': m.noUser = true; break;
-			case '--bootloader': m.bootloader = true; break;
-			case '--no-bootloader': m.noBootloader = true; break;
-			case '--ncp': m.ncp = true; break;
-			case '--no-ncp': m.noNcp = true; break;
-			case '--radio': m.radio = true; break;
-			case '--no-radio': m.noRadio = true; break;
-			default: filter = false; break;
-		}
-		if (filter) {
-			args.splice(i, 1);
-		} else {
-			++i;
-		}
+// Flashes Device OS to the local devices and returns an object with the results of flashing each
+// device. The object has the same format as the report saved by the --report option of the CLI.
+//
+// Options:
+//   version: Device OS version number.
+//   path: Path to firmware binaries. Either `version` or `path` needs to be specified unless the
+//     devices are only erased.
+//   devices: IDs or names of the target devices. If not specified, all detected devices are flashed.
+//     A platform name can be appended to an ID or name as in the CLI, e.g. 'my_boron:boron'. The
+//     'usb:<bus>-<port>', 'adapter:<serial>' and 'platform:<name>' selectors are supported as well.
+//   interface: Flash interface: 'dfu' (default), 'openocd', 'jlink', 'probe-rs' or 'usb' (control
+//     requests only).
+//   filters: Module types to flash, e.g. { bootloader: false } or { system: true, user: true }.
+//   retries, jobs, verify, validate, erase, factoryReset, skipCurrent, force, markDevelopment, product,
+//     cache, draft, releaseSource: Same as the respective CLI options.
+//   waitOnline: Wait until each flashed device comes online in the cloud. Can be set to true or to
+//     a timeout in seconds.
+//   onProgress: Function called with progress events. See App._emitProgress().
+//   log: Logger instance. By default, only errors and warnings are logged.
+//
+// An error is thrown if the devices could not be enumerated or the firmware binaries could not be
+// loaded. Errors that occur while flashing are reported in the returned object.
+async function flashDevices({
+	version = null,
+	path = null,
+	devices = [],
+	interface: flashInterface = InterfaceType.DFU,
+	filters = {},
+	retries,
+	jobs,
+	verify = false,
+	validate = false,
+	erase = false,
+	factoryReset = false,
+	skipCurrent = false,
+	force = false,
+	markDevelopment = false,
+	product = null,
+	waitOnline = null,
+	cache = true,
+	draft = false,
+	releaseSource = null,
+	onProgress = null,
+	log = null
+} = {}) {
+	// The flash memory can be erased without flashing anything
+	if ((version && path) || (!version && !path && (!erase || factoryReset))) {
+		throw new RangeError('Either version or path needs to be specified');
 	}
-	return m;
-}
-
-// minimist doesn't support arguments like -vv and -vvv
-function parseLogVerbosityArgs(args) {
-	let verbosity = 0;
-	const rx = /^-v+$/;
-	let i = 0;
-	while (i < args.length) {
-		const arg = args[i];
-		if (rx.test(arg)) {
-			const v = arg.length - 1;
-			if (v > verbosity) {
-				verbosity = v;
-			}
-			args.splice(i, 1);
-		} else if (arg === '--verbose') {
-			if (!verbosity) {
-				verbosity = 1;
-			}
-			args.splice(i, 1);
-		} else {
-			++i;
-		}
+	if (path && !fs.existsSync(path)) {
+		throw new Error(`File not found: ${path}`);
 	}
-	if (verbosity >= 2) {
-		return LogLevel.SILLY;
-	} else if (verbosity === 1) {
-		return LogLevel.DEBUG;
+	if (!Object.values(InterfaceType).includes(flashInterface)) {
+		throw new RangeError(`Unknown flash interface: ${flashInterface}`);
+	}
+	if (typeof devices === 'string') {
+		devices = [devices];
+	}
+	const args = {
+		'_': (version || path) ? [version || path] : [],
+		'device': devices,
+		'all-devices': !devices.length,
+		'openocd': (flashInterface === InterfaceType.OPENOCD),
+		'jlink': (flashInterface === InterfaceType.JLINK),
+		'probe-rs': (flashInterface === InterfaceType.PROBE_RS),
+		'control': (flashInterface === InterfaceType.USB),
+		'retries': retries,
+		'jobs': jobs,
+		'verify': verify,
+		'validate': validate,
+		'erase': erase,
+		'factory-reset': factoryReset,
+		'skip-current': skipCurrent,
+		'force': force,
+		'mark-development': markDevelopment,
+		'product': product,
+		'wait-online': (waitOnline === true) ? '' : (waitOnline || undefined),
+		'cache': cache,
+		'draft': draft,
+		'release-source': releaseSource,
+		...moduleTypeFilterArgs(filters)
+	};
+	if (!log) {
+		log = new Logger({ level: LogLevel.WARN });
+	}
+	const app = new App({ name: APP_NAME, log });
+	if (onProgress) {
+		app.on('progress', onProgress);
 	}
-	return LogLevel.VERBOSE;
-}
-
-async function run() {
-	let ok = true;
-	let app = null;
-	const log = new Logger();
 	try {
-		let args = process.argv.slice(2);
-		log.level = parseLogVerbosityArgs(args);
-		const moduleArgs = parseModuleTypeArgs(args);
-		args = parseArgs(args, {
-			string: ['_', 'device', 'openocd-ignore-adapter', 'openocd-adapter-save'],
-			boolean: ['all-devices', 'openocd', 'draft', 'cache', 'version', 'help', 'mark-development', 'control'],
-			alias: {
-				'device': 'd',
-				'retries': 'r',
-				'jobs': 'j',
-				'help': 'h',
-				'mark-development': 'm',
-				'control': 'c'
-			},
-			default: {
-				'draft': false,
-				'cache': true
-			},
-			unknown: arg => {
-				if (arg.startsWith('-')) {
-					throw new RangeError(`Unknown argument: ${arg}`);
-				}
-			}
-		});
-		args = { ...args, ...moduleArgs };
-		if (args.help) {
-			showUsage();
-		} else if (args.version) {
-			// eslint-disable-next-line no-console
-			console.log(PACKAGE_VERSION);
-		} else {
-			app = new App({ name: APP_NAME, log });
-			await app.init(args);
-		}
+		await app.init(args);
 	} catch (err) {
-		if (log.level >= LogLevel.DEBUG) {
-			log.error(err.stack);
-		} else {
-			log.error(`Error: ${err.message}`);
+		if (!app.report) {
+			throw err; // Flashing has not started
 		}
-		ok = false;
 	} finally {
-		if (app) {
-			await app.shutdown();
-		}
+		await app.shutdown();
 	}
-	process.exit(ok ? 0 : 1);
+	return app.report;
 }
 
-run();
+module.exports = {
+	flashDevices,
+	App,
+	Flasher,
+	ModuleCache,
+	ModuleType,
+	InterfaceType,
+	DfuFlashInterface,
+	UsbFlashInterface,
+	OpenOcdFlashInterface,
+	JLinkFlashInterface,
+	ProbeRsFlashInterface,
+	GitHubReleaseSource,
+	HttpReleaseSource,
+	LocalReleaseSource,
+	releaseSourceFromString,
+	Logger,
+	LogLevel
+};
@@ -0,0 +1,34 @@
+'use strict';
+const { flashDevices } = require('./index');
+
+const { expect } = require('chai');
+
+describe('Library API (index.js)', () => {
+	describe('flashDevices', () => {
+		async function expectError(options, message) {
+			let error = null;
+			try {
+				await flashDevices(options);
+			} catch (err) {
+				error = err;
+			}
+			expect(error).to.be.an('error').with.property('message', message);
+		}
+
+		it('fails if neither version nor path is specified', async () => {
+			await expectError({}, 'Either version or path needs to be specified');
+			await expectError({ version: '5.0.0', path: 'binaries' }, 'Either version or path needs to be specified');
+			await expectError({ factoryReset: true }, 'Either version or path needs to be specified');
+		});
+
+		it('fails if the options are invalid', async () => {
+			await expectError({ version: 'abc' }, 'Invalid version number: abc');
+			await expectError({ version: '5.0.0', interface: 'jtag' }, 'Unknown flash interface: jtag');
+			await expectError({ version: '5.0.0', filters: { firmware: true } }, 'Unknown module type: firmware');
+		});
+
+		it('does not require a version or path if the devices are only erased', async () => {
+			await expectError({ erase: true }, 'Erasing the entire flash memory requires a debugger; use --openocd, --jlink or --probe-rs');
+		});
+	});
+});
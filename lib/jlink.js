@@ -0,0 +1,375 @@
+'use strict';
+const { Device, FlashInterface, InterfaceType } = require('./device');
+const { AdapterType, getMcuInfo, ignoredAdapterSerials, listAdapters } = require('./adapter');
+const { StorageType } = require('./platform');
+const { execCommand, formatCommand, toUInt32Hex } = require('./util');
+
+const which = require('which');
+const tmp = require('tmp');
+
+const fs = require('fs');
+const os = require('os');
+
+const JLINK_EXE = (os.platform() === 'win32') ? 'JLink.exe' : 'JLinkExe';
+const NRFJPROG = 'nrfjprog';
+
+const JLINK_SPEED_KHZ = 4000;
+
+// Device name used to connect to the target when its MCU is not known yet
+const GENERIC_JLINK_DEVICE = 'Cortex-M4';
+
+const CPUID_ADDRESS = 0xe000ed00; // CPUID register of the System Control Block
+
+// Flash option registers of STM32F2xx
+const STM32F2_FLASH_OPTKEYR = 0x40023c08;
+const STM32F2_FLASH_OPTCR = 0x40023c14;
+const STM32F2_OPTKEYS = [0x08192a3b, 0x4c5d6e7f];
+const STM32F2_OPTCR_OPTLOCK = 0x01;
+const STM32F2_OPTCR_OPTSTRT = 0x02;
+const STM32F2_OPTCR_NWRP = 0x0fff0000; // Write protection bits of the sectors, 0 means protected
+const STM32F2_OPTION_WRITE_DELAY = 500; // ms
+
+const DEFAULT_COMMAND_TIMEOUT = 30000;
+const FLASH_COMMAND_TIMEOUT = 2 * 60 * 1000;
+
+const DEVICE_ID_SIZE = 24; // Hex-encoded
+
+// Converts a hex dump of the form "12 34 56 ..." to a lowercase hex string
+function parseHexBytes(str) {
+	return str.trim().split(/\s+/).join('').toLowerCase();
+}
+
+// Device connected via a J-Link probe. Every operation runs JLinkExe with a command script, or
+// nrfjprog for nRF targets if it's installed
+class JLinkDevice extends Device {
+	constructor({ info, serial, usbPort, nrfjprog = false, log }) {
+		super({ usbPort, log });
+		this._info = info;
+		this._serial = serial;
+		this._nrfjprog = nrfjprog; // Whether nrfjprog is available
+		this._target = null; // Target MCU info
+		this._flashUnlocked = false;
+		this._open = false;
+	}
+
+	async open(/* options */) {
+		if (this._open) {
+			throw new Error('Device is already open');
+		}
+		if (!this._target) {
+			this._log.verbose('Detecting target platform');
+			const target = await this._detectTarget();
+			if (!target.jlinkDevice) {
+				throw new Error(`Target platform is not supported by J-Link: ${target.baseMcu}`);
+			}
+			this._log.verbose(`Target platform: ${target.baseMcu}`);
+			this._target = target;
+		}
+		if (!this.id) {
+			this.id = await this._getDeviceId();
+			this._log.verbose('Device ID:', this.id);
+		}
+		this._open = true;
+	}
+
+	async close() {
+		this._open = false;
+		this._flashUnlocked = false;
+	}
+
+	async reset() {
+		this.emit('reset');
+		if (this._useNrfjprog()) {
+			await this._runNrfjprog(['--reset']);
+		} else {
+			await this._runJLinkExe(['r', 'g']);
+		}
+	}
+
+	async prepareToFlash() {
+		await this._runJLinkExe(['r', 'h']);
+	}
+
+	async flashModule(module) {
+		if (!this.canFlashModule(module)) {
+			throw new Error('Unsupported module');
+		}
+		await this.writeToFlash(module.file, module.storage, module.address);
+	}
+
+	async writeToFlash(file, storage, address) {
+		if (!this.canWriteToFlash(storage)) {
+			throw new Error('Unsupported storage');
+		}
+		// JLinkExe only reports the progress in its GUI
+		const total = fs.statSync(file).size;
+		this.emit('progress', { bytes: 0, total });
+		try {
+			if (this._target.unlockFlash && !this._flashUnlocked) {
+				await this._unlockFlash();
+			}
+			await this._runJLinkExe([`loadbin ${file}, ${toUInt32Hex(address)}`], { timeout: FLASH_COMMAND_TIMEOUT });
+		} catch (err) {
+			throw new Error('Programming failed\n' + err.message);
+		}
+		this.emit('progress', { bytes: total, total });
+	}
+
+	async readFromFlash(file, storage, address, size) {
+		if (!this.canReadFromFlash(storage)) {
+			throw new Error('Unsupported storage');
+		}
+		try {
+			await this._runJLinkExe([`savebin ${file}, ${toUInt32Hex(address)}, ${size.toString(16)}`],
+				{ timeout: FLASH_COMMAND_TIMEOUT });
+		} catch (err) {
+			throw new Error('Reading failed\n' + err.message);
+		}
+	}
+
+	async eraseFlash() {
+		try {
+			if (this._useNrfjprog()) {
+				await this._runNrfjprog(['--eraseall'], { timeout: FLASH_COMMAND_TIMEOUT });
+			} else {
+				await this._runJLinkExe(['erase'], { timeout: FLASH_COMMAND_TIMEOUT });
+			}
+		} catch (err) {
+			throw new Error('Erasing failed\n' + err.message);
+		}
+	}
+
+	canFlashModule(module) {
+		return this.canWriteToFlash(module.storage);
+	}
+
+	canWriteToFlash(storage) {
+		return (storage === StorageType.INTERNAL_FLASH);
+	}
+
+	canReadFromFlash(storage) {
+		return this.canWriteToFlash(storage);
+	}
+
+	canEraseFlash() {
+		return true;
+	}
+
+	get interfaceType() {
+		return InterfaceType.JLINK;
+	}
+
+	get adapterInfo() {
+		return this._info;
+	}
+
+	get serialNumber() {
+		return this._serial;
+	}
+
+	async _detectTarget() {
+		const platformMcu = this._info.platformMcu;
+		if (platformMcu.length === 1) {
+			return getMcuInfo(platformMcu[0]);
+		}
+		// Identify the MCU by the part number of its CPU core. Targets that have SWD disabled by their
+		// firmware can only be connected to under reset
+		let cpuId = null;
+		try {
+			cpuId = await this._readWord(CPUID_ADDRESS, { device: GENERIC_JLINK_DEVICE });
+		} catch (_err) {
+			this._log.verbose('Retrying with asserted SRST');
+			cpuId = await this._readWord(CPUID_ADDRESS, { device: GENERIC_JLINK_DEVICE, connectUnderReset: true });
+		}
+		const partNum = (cpuId >> 4) & 0xfff;
+		for (const mcu of platformMcu) {
+			const t = getMcuInfo(mcu);
+			if (t.cpuPartNumber === partNum) {
+				return t;
+			}
+		}
+		throw new Error(`Unknown target platform; CPU part number: 0x${partNum.toString(16)}`);
+	}
+
+	async _getDeviceId() {
+		const target = this._target;
+		if (!target.deviceIdAddress) {
+			throw new Error(`Reading the device ID is not supported for this target: ${target.baseMcu}`);
+		}
+		const prefix = target.deviceIdPrefix || ''; // Hex-encoded
+		const size = Math.floor((DEVICE_ID_SIZE - prefix.length) / 2);
+		let match = null;
+		let output = null;
+		if (this._useNrfjprog()) {
+			// 0x10000060: 12 34 56 78 9A BC DE F0   |.4Vx....|
+			const addrStr = toUInt32Hex(target.deviceIdAddress);
+			output = await this._runNrfjprog(['--memrd', addrStr, '--n', size.toString(), '--w', '8']);
+			match = new RegExp(`^${addrStr}:\\s((?:[0-9A-Fa-f]{2}\\s+){${size}})`, 'mi').exec(output);
+		} else {
+			// 10000060 = 12 34 56 78 9A BC DE F0
+			const addrStr = toUInt32Hex(target.deviceIdAddress).slice(2).toUpperCase();
+			output = await this._runJLinkExe([`mem8 ${addrStr}, ${size.toString(16)}`]);
+			match = new RegExp(`^${addrStr}\\s*=\\s*((?:[0-9A-Fa-f]{2}\\s*){${size}})`, 'm').exec(output);
+		}
+		if (!match) {
+			throw new Error('Unable to read device ID' + ('\n' + output).trimRight());
+		}
+		return prefix + parseHexBytes(match[1]);
+	}
+
+	// Clears the write protection of the flash sectors of an STM32F2xx target
+	async _unlockFlash() {
+		const optcr = await this._readWord(STM32F2_FLASH_OPTCR);
+		if ((optcr & STM32F2_OPTCR_NWRP) !== STM32F2_OPTCR_NWRP) {
+			this._log.verbose('Clearing flash write protection');
+			const value = ((optcr | STM32F2_OPTCR_NWRP) & ~STM32F2_OPTCR_OPTLOCK) >>> 0;
+			const hex = v => toUInt32Hex(v).slice(2).toUpperCase();
+			await this._runJLinkExe([
+				...STM32F2_OPTKEYS.map(key => `w4 ${hex(STM32F2_FLASH_OPTKEYR)} ${hex(key)}`),
+				`w4 ${hex(STM32F2_FLASH_OPTCR)} ${hex(value)}`,
+				`w4 ${hex(STM32F2_FLASH_OPTCR)} ${hex(value | STM32F2_OPTCR_OPTSTRT)}`,
+				`Sleep ${STM32F2_OPTION_WRITE_DELAY}`,
+				`w4 ${hex(STM32F2_FLASH_OPTCR)} ${hex(value | STM32F2_OPTCR_OPTLOCK)}`
+			]);
+		}
+		this._flashUnlocked = true;
+	}
+
+	// Reads a 32-bit word from the memory of the target
+	async _readWord(address, options) {
+		// E000ED00 = 410FC241
+		const addrStr = toUInt32Hex(address).slice(2).toUpperCase();
+		const output = await this._runJLinkExe([`mem32 ${addrStr}, 1`], options);
+		const m = new RegExp(`^${addrStr}\\s*=\\s*([0-9A-Fa-f]{8})`, 'm').exec(output);
+		if (!m) {
+			throw new Error(`Unable to read memory at ${toUInt32Hex(address)}` + ('\n' + output).trimRight());
+		}
+		return Number.parseInt(m[1], 16);
+	}
+
+	_useNrfjprog() {
+		return this._nrfjprog && !!this._target && !!this._target.nrfFamily;
+	}
+
+	// J-Link tools identify probes by their serial number as an integer
+	_probeSerialNumber() {
+		const sn = Number.parseInt(this._serial, 10);
+		return Number.isNaN(sn) ? this._serial : sn.toString();
+	}
+
+	async _runJLinkExe(cmds, { device = null, connectUnderReset = null, timeout = DEFAULT_COMMAND_TIMEOUT } = {}) {
+		if (!device) {
+			device = this._target.jlinkDevice;
+		}
+		if (connectUnderReset === null) {
+			connectUnderReset = !!this._target && !!this._target.assertSrstOnConnect;
+		}
+		if (connectUnderReset) {
+			// Hold the target in reset while connecting to it, halt the core and release the reset
+			cmds = ['r0', 'connect', 'h', 'r1', ...cmds];
+		}
+		const script = tmp.fileSync({ postfix: '.jlink' });
+		try {
+			fs.writeFileSync(script.fd, [...cmds, 'exit'].join('\n') + '\n');
+			const args = [
+				'-NoGui', '1',
+				'-ExitOnError', '1',
+				'-AutoConnect', connectUnderReset ? '0' : '1',
+				'-SelectEmuBySN', this._probeSerialNumber(),
+				'-If', 'SWD',
+				'-Speed', JLINK_SPEED_KHZ.toString(),
+				'-Device', device,
+				'-CommandFile', script.name
+			];
+			for (const cmd of cmds) {
+				this._log.debug('>', cmd);
+			}
+			this._log.debug('$', formatCommand(JLINK_EXE, args));
+			const r = await execCommand(JLINK_EXE, args, { timeout });
+			if (r.exitCode !== 0) {
+				throw new Error(`${JLINK_EXE} exited with code ${r.exitCode}` + ('\n' + r.output).trimRight());
+			}
+			return r.output;
+		} finally {
+			script.removeCallback();
+		}
+	}
+
+	async _runNrfjprog(args, { timeout = DEFAULT_COMMAND_TIMEOUT } = {}) {
+		args = [
+			'-f', this._target.nrfFamily,
+			'-s', this._probeSerialNumber(),
+			...args
+		];
+		this._log.debug('$', formatCommand(NRFJPROG, args));
+		const r = await execCommand(NRFJPROG, args, { timeout });
+		if (r.exitCode !== 0) {
+			throw new Error(`${NRFJPROG} exited with code ${r.exitCode}` + ('\n' + r.output).trimRight());
+		}
+		return r.output;
+	}
+}
+
+class JLinkFlashInterface extends FlashInterface {
+	constructor({ log }) {
+		super({ log });
+		this._nrfjprog = false;
+		this._ignoredAdapters = [];
+	}
+
+	async init(args) {
+		try {
+			await which(JLINK_EXE);
+		} catch (_err) {
+			throw new Error('J-Link Software is not installed');
+		}
+		try {
+			await which(NRFJPROG);
+			this._nrfjprog = true;
+		} catch (_err) {
+			this._log.verbose('nrfjprog is not installed, using JLinkExe for nRF targets');
+		}
+		this._ignoredAdapters = ignoredAdapterSerials(args);
+	}
+
+	async listDevices({ ignoredUsbPorts = [] } = {}) {
+		const adapters = await listAdapters({ types: [AdapterType.JLINK], ignoredSerials: this._ignoredAdapters, ignoredUsbPorts, log: this._log });
+		if (!adapters.length) {
+			this._log.verbose('No J-Link probes found');
+			return [];
+		}
+		this._log.verbose('Detected J-Link probes:');
+		for (const ad of adapters) {
+			this._log.verbose(`${ad.index}. ${ad.info.displayName}; s/n: ${ad.serial}`);
+		}
+		return adapters.map(ad => new JLinkDevice({
+			info: ad.info,
+			serial: ad.serial,
+			usbPort: ad.usbPort,
+			nrfjprog: this._nrfjprog,
+			log: this._log.addTag(`[Adapter ${ad.index}]`)
+		}));
+	}
+
+	async openDeviceById(id, options) {
+		const devs = await this.listDevices();
+		for (const dev of devs) {
+			try {
+				await dev.open(options);
+			} catch (err) {
+				this._log.warn(err.message);
+				continue; // Ignore error
+			}
+			if (dev.id === id) {
+				return dev;
+			}
+			await dev.close();
+		}
+		throw new Error('Device not found');
+	}
+}
+
+module.exports = {
+	JLinkFlashInterface,
+	JLinkDevice
+};
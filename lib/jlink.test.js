@@ -0,0 +1,190 @@
+'use strict';
+const { JLinkDevice } = require('./jlink');
+const { AdapterType, ADAPTER_INFO } = require('./adapter');
+const { StorageType } = require('./platform');
+const { Logger, LogLevel } = require('./log');
+
+const { expect } = require('chai');
+const tmp = require('tmp');
+
+const fs = require('fs');
+const path = require('path');
+
+// Fake JLinkExe that prints the contents of the memory passed via FAKE_JLINK_MEMORY and logs its
+// invocations to FAKE_JLINK_LOG. The command named by FAKE_JLINK_FAIL fails
+const FAKE_JLINK_EXE = `#!/usr/bin/env node
+'use strict';
+const fs = require('fs');
+const args = process.argv.slice(2);
+const script = args[args.indexOf('-CommandFile') + 1];
+const cmds = fs.readFileSync(script, 'utf8').split('\\n').filter(cmd => !!cmd);
+fs.appendFileSync(process.env.FAKE_JLINK_LOG, JSON.stringify({ args, cmds }) + '\\n');
+const mem = JSON.parse(process.env.FAKE_JLINK_MEMORY || '{}');
+for (const cmd of cmds) {
+	const [name, addr] = cmd.split(/[\\s,]+/);
+	if (name === process.env.FAKE_JLINK_FAIL) {
+		console.log('ERROR: ' + name + ' failed');
+		process.exit(1);
+	}
+	if (name === 'mem32' || name === 'mem8') {
+		console.log(addr + ' = ' + mem[addr]);
+	} else if (name === 'loadbin') {
+		console.log('O.K.');
+	}
+}
+`;
+
+describe('J-Link flash interface (jlink.js)', () => {
+	if (process.platform === 'win32') {
+		return; // The fake JLinkExe is a Node.js script
+	}
+
+	const ADAPTER_SERIAL = '000683123456';
+	const NRF52840_CPUID = '410FC241';
+	const STM32F2XX_CPUID = '412FC230';
+	const RTL872X_CPUID = '410FD213';
+
+	let tempDir = null;
+	let logFile = null;
+	let origEnv = null;
+
+	function invocations() {
+		return fs.readFileSync(logFile, 'utf8').split('\n').filter(line => !!line).map(line => JSON.parse(line));
+	}
+
+	function argValue(args, name) {
+		return args[args.indexOf(name) + 1];
+	}
+
+	function makeDevice() {
+		return new JLinkDevice({
+			info: ADAPTER_INFO.find(info => info.type === AdapterType.JLINK),
+			serial: ADAPTER_SERIAL,
+			log: new Logger({ level: LogLevel.ERROR })
+		});
+	}
+
+	async function expectError(promise, message) {
+		let error = null;
+		try {
+			await promise;
+		} catch (err) {
+			error = err;
+		}
+		expect(error).to.be.an('error');
+		expect(error.message).to.match(message);
+	}
+
+	beforeEach(() => {
+		tempDir = tmp.dirSync({ unsafeCleanup: true });
+		const exe = path.join(tempDir.name, 'JLinkExe');
+		fs.writeFileSync(exe, FAKE_JLINK_EXE, { mode: 0o755 });
+		logFile = path.join(tempDir.name, 'log.txt');
+		fs.writeFileSync(logFile, '');
+		origEnv = process.env;
+		process.env = {
+			...origEnv,
+			PATH: tempDir.name + path.delimiter + origEnv.PATH,
+			FAKE_JLINK_LOG: logFile
+		};
+	});
+
+	afterEach(() => {
+		process.env = origEnv;
+		tempDir.removeCallback();
+	});
+
+	describe('JLinkDevice', () => {
+		it('detects an nRF52840 target and reads its device ID', async () => {
+			process.env.FAKE_JLINK_MEMORY = JSON.stringify({
+				'E000ED00': NRF52840_CPUID,
+				'10000060': '12 34 56 78 9A BC DE F0'
+			});
+			const dev = makeDevice();
+			await dev.open();
+			expect(dev.id).to.equal('e00fce68123456789abcdef0');
+			const [detect, readId] = invocations();
+			expect(argValue(detect.args, '-SelectEmuBySN')).to.equal('683123456');
+			expect(argValue(detect.args, '-Device')).to.equal('Cortex-M4');
+			expect(detect.cmds).to.deep.equal(['mem32 E000ED00, 1', 'exit']);
+			expect(argValue(readId.args, '-Device')).to.equal('nRF52840_xxAA');
+			expect(readId.cmds).to.deep.equal(['mem8 10000060, 8', 'exit']);
+		});
+
+		it('detects an STM32F2xx target and reads its device ID', async () => {
+			process.env.FAKE_JLINK_MEMORY = JSON.stringify({
+				'E000ED00': STM32F2XX_CPUID,
+				'1FFF7A10': '00 11 22 33 44 55 66 77 88 99 AA BB'
+			});
+			const dev = makeDevice();
+			await dev.open();
+			expect(dev.id).to.equal('00112233445566778899aabb');
+			expect(argValue(invocations()[1].args, '-Device')).to.equal('STM32F205RG');
+		});
+
+		it('connects to an STM32F2xx target under reset and clears its flash write protection', async () => {
+			process.env.FAKE_JLINK_MEMORY = JSON.stringify({
+				'E000ED00': STM32F2XX_CPUID,
+				'1FFF7A10': '00 11 22 33 44 55 66 77 88 99 AA BB',
+				'40023C14': '0FFEAAEC' // Sector 0 is write-protected
+			});
+			const file = path.join(tempDir.name, 'bootloader.bin');
+			fs.writeFileSync(file, Buffer.alloc(1024));
+			const dev = makeDevice();
+			await dev.open();
+			await dev.writeToFlash(file, StorageType.INTERNAL_FLASH, 0x8000000);
+			await dev.writeToFlash(file, StorageType.INTERNAL_FLASH, 0x8000000);
+			const [detect, readId, readOptions, unlock, write1, write2] = invocations();
+			const connect = ['r0', 'connect', 'h', 'r1'];
+			expect(argValue(detect.args, '-AutoConnect')).to.equal('1');
+			expect(argValue(readId.args, '-AutoConnect')).to.equal('0');
+			expect(readId.cmds).to.deep.equal([...connect, 'mem8 1FFF7A10, c', 'exit']);
+			expect(readOptions.cmds).to.deep.equal([...connect, 'mem32 40023C14, 1', 'exit']);
+			expect(unlock.cmds).to.deep.equal([
+				...connect,
+				'w4 40023C08 08192A3B',
+				'w4 40023C08 4C5D6E7F',
+				'w4 40023C14 0FFFAAEC',
+				'w4 40023C14 0FFFAAEE',
+				'Sleep 500',
+				'w4 40023C14 0FFFAAED',
+				'exit'
+			]);
+			// The write protection is only checked once while the device is open
+			expect(write1.cmds).to.deep.equal([...connect, `loadbin ${file}, 0x08000000`, 'exit']);
+			expect(write2.cmds).to.deep.equal(write1.cmds);
+		});
+
+		it('fails if the target platform is not supported', async () => {
+			process.env.FAKE_JLINK_MEMORY = JSON.stringify({ 'E000ED00': RTL872X_CPUID });
+			await expectError(makeDevice().open(), /^Target platform is not supported by J-Link: rtl872x$/);
+		});
+
+		it('writes binaries to the flash memory', async () => {
+			process.env.FAKE_JLINK_MEMORY = JSON.stringify({
+				'E000ED00': NRF52840_CPUID,
+				'10000060': '12 34 56 78 9A BC DE F0'
+			});
+			const file = path.join(tempDir.name, 'system-part1.bin');
+			fs.writeFileSync(file, Buffer.alloc(1024));
+			const dev = makeDevice();
+			const progress = [];
+			dev.on('progress', p => progress.push(p));
+			await dev.open();
+			await dev.writeToFlash(file, StorageType.INTERNAL_FLASH, 0x30000);
+			expect(invocations()[2].cmds).to.deep.equal([`loadbin ${file}, 0x00030000`, 'exit']);
+			expect(progress).to.deep.equal([{ bytes: 0, total: 1024 }, { bytes: 1024, total: 1024 }]);
+		});
+
+		it('reports the output of JLinkExe if a command fails', async () => {
+			process.env.FAKE_JLINK_MEMORY = JSON.stringify({
+				'E000ED00': NRF52840_CPUID,
+				'10000060': '12 34 56 78 9A BC DE F0'
+			});
+			process.env.FAKE_JLINK_FAIL = 'erase';
+			const dev = makeDevice();
+			await dev.open();
+			await expectError(dev.eraseFlash(), /^Erasing failed\nJLinkExe exited with code 1\nERROR: erase failed$/);
+		});
+	});
+});
@@ -14,8 +14,9 @@ const LogLevel = {
 
 // Simple console logger with a winston-like API.
 class Logger {
-	constructor({ level } = {}) {
+	constructor({ level, writer } = {}) {
 		this._level = (level !== undefined) ? level : LogLevel.INFO;
+		this._writer = writer || null;
 	}
 
 	error(...args) {
@@ -52,8 +53,12 @@ class Logger {
 			} else if (level >= LogLevel.VERBOSE) {
 				msg = chalk.dim(msg);
 			}
-			// eslint-disable-next-line no-console
-			console.error(msg);
+			if (this._writer) {
+				this._writer(msg);
+			} else {
+				// eslint-disable-next-line no-console
+				console.error(msg);
+			}
 		}
 	}
 
@@ -68,6 +73,15 @@ class Logger {
 	get level() {
 		return this._level;
 	}
+
+	// Function that is called to output a formatted message instead of console.error()
+	set writer(writer) {
+		this._writer = writer;
+	}
+
+	get writer() {
+		return this._writer;
+	}
 }
 
 class TaggedLogger extends Logger {
@@ -1,9 +1,8 @@
 'use strict';
 const { platformForId, ModuleType } = require('./platform');
+const { GitHubReleaseSource } = require('./source');
 const { HalModuleParser, ModuleInfo } = require('binary-version-reader');
-const { Octokit } = require('@octokit/rest');
 const decompress = require('decompress');
-const download = require('download');
 const pLimit = require('p-limit');
 const rimraf = require('rimraf');
 const mkdirp = require('mkdirp');
@@ -13,18 +12,15 @@ const semver = require('semver');
 const fs = require('fs');
 const path = require('path');
 
-const { delay } = require('./util');
+const { delay, sha256File, formatSize } = require('./util');
 
-const REPO_OWNER = 'particle-iot';
-const REPO_NAME = 'device-os';
+const MANIFEST_FILE = 'manifest.json';
 
 const MAX_OLDER_RELEASES_TO_CHECK = 20;
-const MAX_RELEASES_PER_PAGE = 100;
 const MAX_CONCURRENT_DOWNLOADS = 6;
 const MAX_DOWNLOAD_RETRIES = 10;
 const BASE_RETRY_TIMEOUT_MS = 500;
-
-const { version: PACKAGE_VERSION, name: PACKAGE_NAME } = require('../package.json');
+const PROGRESS_LOG_INTERVAL_MS = 3000;
 
 const {
 	FunctionType: ModuleFunction,
@@ -33,26 +29,24 @@ const {
 } = ModuleInfo;
 
 class ModuleCache {
-	constructor({ cacheDir, tempDir, log }) {
+	constructor({ cacheDir, tempDir, source, log }) {
 		this._log = log;
 		this._tempDir = tempDir;
 		this._cacheDir = cacheDir;
-		this._github = null;
+		this._source = source || new GitHubReleaseSource({ log });
+		// Different sources may provide different binaries for the same version
+		const key = this._source.cacheKey;
+		this._releasesDir = key ? path.join(cacheDir, 'sources', key) : cacheDir;
 	}
 
 	async init() {
-		mkdirp.sync(this._cacheDir);
-		const opts = {};
-		const token = process.env.GITHUB_TOKEN;
-		if (token) {
-			opts.auth = token;
-		}
-		this._github = new Octokit(opts);
+		mkdirp.sync(this._releasesDir);
+		await this._source.init();
 	}
 
 	async shutdown() {
 		try {
-			this._github = null;
+			await this._source.shutdown();
 		} catch (err) {
 			this._log.warn(err.message);
 		}
@@ -60,10 +54,27 @@ class ModuleCache {
 
 	async getReleaseModules(version, { noCache = false, draft = false } = {}) {
 		let mods = [];
-		const releaseDir = path.join(this._cacheDir, version);
+		const releaseDir = path.join(this._releasesDir, version);
+		if (!this._source.cacheable) {
+			noCache = true;
+		}
 		if (!noCache && fs.existsSync(releaseDir)) {
 			this._log.info('Found cached module binaries');
-			mods = await this._parseModuleBinaries(releaseDir);
+			if (!fs.existsSync(path.join(releaseDir, MANIFEST_FILE))) {
+				// The release was cached by an older version of this tool
+				mods = await this._parseLegacyRelease(version);
+			} else {
+				const problems = this._validateCachedRelease(version);
+				if (!problems.length) {
+					mods = await this._parseModuleBinaries(releaseDir);
+				} else {
+					this._log.warn('Cached release is incomplete or corrupted');
+					for (const p of problems) {
+						this._log.verbose(`${p.file}: ${p.message}`);
+					}
+					rimraf.sync(releaseDir);
+				}
+			}
 		}
 		if (!mods.length) {
 			this._log.info('Downloading release binaries');
@@ -74,21 +85,9 @@ class ModuleCache {
 				throw new Error('No release binaries found');
 			}
 			// Do not cache draft releases
-			if (!release.draft) {
+			if (!release.draft && this._source.cacheable) {
 				this._log.verbose('Updating cached binaries');
-				rimraf.sync(releaseDir);
-				for (const m of mods) {
-					const p = platformForId(m.platformId);
-					const destDir = path.join(releaseDir, p.name);
-					mkdirp.sync(destDir);
-					const destFile = path.join(destDir, path.basename(m.file));
-					// NOTE: fs.renameSync() may fail across partitions at least on Linux
-					fs.copyFileSync(m.file, destFile);
-					if (!m.isAsset) {
-						fs.unlinkSync(m.file);
-					}
-					m.file = destFile;
-				}
+				this._cacheModules(version, mods, { tag: release.tag, move: true });
 			}
 		}
 		return mods;
@@ -111,6 +110,201 @@ class ModuleCache {
 		return mods;
 	}
 
+	// Returns the list of cached releases sorted by version in descending order
+	async listCachedReleases() {
+		const entries = fs.readdirSync(this._releasesDir, { withFileTypes: true });
+		const versions = entries.filter(e => e.isDirectory() && semver.valid(e.name)).map(e => e.name);
+		versions.sort(semver.rcompare);
+		return versions.map(version => {
+			const releaseDir = path.join(this._releasesDir, version);
+			const platforms = new Map();
+			const files = fg.sync('**/*.bin', { cwd: releaseDir, onlyFiles: true, stats: true });
+			for (const f of files) {
+				const name = path.dirname(f.path).split('/')[0];
+				let p = platforms.get(name);
+				if (!p) {
+					p = { name, files: 0, size: 0 };
+					platforms.set(name, p);
+				}
+				++p.files;
+				p.size += f.stats.size;
+			}
+			return {
+				version,
+				platforms: Array.from(platforms.values()).sort((a, b) => a.name.localeCompare(b.name)),
+				size: files.reduce((size, f) => size + f.stats.size, 0)
+			};
+		});
+	}
+
+	async removeCachedRelease(version) {
+		const releaseDir = path.join(this._releasesDir, version);
+		if (!fs.existsSync(releaseDir)) {
+			throw new Error(`Release not found in cache: ${version}`);
+		}
+		rimraf.sync(releaseDir);
+	}
+
+	// Removes all cached releases except the `keep` most recent ones. Returns the removed versions
+	async pruneCachedReleases({ keep = 0 } = {}) {
+		const releases = await this.listCachedReleases();
+		const versions = releases.slice(keep).map(r => r.version);
+		for (const ver of versions) {
+			await this.removeCachedRelease(ver);
+		}
+		return versions;
+	}
+
+	// Re-parses the cached module binaries and returns the list of problems found
+	async verifyCachedReleases({ versions = null } = {}) {
+		if (!versions) {
+			const releases = await this.listCachedReleases();
+			versions = releases.map(r => r.version);
+		}
+		const problems = [];
+		for (const version of versions) {
+			const releaseDir = path.join(this._releasesDir, version);
+			if (!fs.existsSync(releaseDir)) {
+				throw new Error(`Release not found in cache: ${version}`);
+			}
+			problems.push(...this._validateCachedRelease(version));
+			const files = fg.sync('**/*.bin', { cwd: releaseDir, onlyFiles: true });
+			files.sort();
+			for (const file of files) {
+				const parser = new HalModuleParser();
+				try {
+					const info = await parser.parseBuffer({ fileBuffer: fs.readFileSync(path.join(releaseDir, file)) });
+					if (!info.crc.ok) {
+						problems.push({ version, file, message: 'CRC check failed' });
+					}
+				} catch (err) {
+					problems.push({ version, file, message: `Unable to parse module binary: ${err.message}` });
+				}
+			}
+		}
+		return problems;
+	}
+
+	// Stores the module binaries found in a directory or .zip file in the cache as the given release
+	async importRelease(fileOrDir, version) {
+		const mods = await this.getModulesFromPath(fileOrDir);
+		if (!mods.length) {
+			throw new Error('No module binaries found');
+		}
+		const invalidMod = mods.find(m => !m.crcValid);
+		if (invalidMod) {
+			throw new Error(`CRC check failed: ${path.basename(invalidMod.file)}`);
+		}
+		if (fs.existsSync(path.join(this._releasesDir, version))) {
+			this._log.warn('Replacing cached release:', version);
+		}
+		return this._cacheModules(version, mods);
+	}
+
+	get cacheDir() {
+		return this._cacheDir;
+	}
+
+	_cacheModules(version, modules, { tag = null, move = false } = {}) {
+		const releaseDir = path.join(this._releasesDir, version);
+		rimraf.sync(releaseDir);
+		for (const m of modules) {
+			const p = platformForId(m.platformId);
+			const destDir = path.join(releaseDir, p.name);
+			mkdirp.sync(destDir);
+			const destFile = path.join(destDir, path.basename(m.file));
+			// NOTE: fs.renameSync() may fail across partitions at least on Linux
+			fs.copyFileSync(m.file, destFile);
+			if (move && !m.isAsset) {
+				fs.unlinkSync(m.file);
+			}
+			m.file = destFile;
+		}
+		// The manifest is written last so that an interrupted update leaves the release directory
+		// in a state that is detected as invalid on the next run
+		this._writeManifest(version, modules, { tag });
+		return modules;
+	}
+
+	_writeManifest(version, modules, { tag = null, fetchedAt = new Date() } = {}) {
+		const releaseDir = path.join(this._releasesDir, version);
+		const manifest = {
+			version,
+			tag,
+			fetchedAt: fetchedAt.toISOString(),
+			files: {}
+		};
+		for (const m of modules) {
+			manifest.files[path.relative(releaseDir, m.file).split(path.sep).join('/')] = {
+				sha256: sha256File(m.file),
+				size: fs.statSync(m.file).size,
+				assetId: m.assetId || null,
+				tag: m.releaseTag || null
+			};
+		}
+		fs.writeFileSync(path.join(releaseDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+	}
+
+	// Checks the binaries of a release that was cached without a manifest and writes the manifest
+	// if they are valid. Returns an empty list if the release needs to be downloaded again
+	async _parseLegacyRelease(version) {
+		const releaseDir = path.join(this._releasesDir, version);
+		const files = fg.sync('**/*.bin', { cwd: releaseDir, onlyFiles: true, absolute: true });
+		const modules = [];
+		for (const file of files) {
+			let m = null;
+			try {
+				m = await this._parseModuleBinary(file);
+			} catch (err) {
+				this._log.warn(`Unable to parse cached module binary: ${path.basename(file)}`);
+				this._log.warn(err.message);
+				return [];
+			}
+			if (!m.crcValid) {
+				return [];
+			}
+			modules.push(m);
+		}
+		if (!modules.length) {
+			return [];
+		}
+		// Use the time of the oldest binary as the time when the release was fetched
+		const fetchedAt = new Date(Math.min(...files.map(f => fs.statSync(f).mtimeMs)));
+		this._log.verbose('Writing manifest for cached release');
+		this._writeManifest(version, modules, { fetchedAt });
+		return this._parseModuleBinaries(releaseDir);
+	}
+
+	// Checks the cached binaries against the release manifest. Returns the list of problems found
+	_validateCachedRelease(version) {
+		const releaseDir = path.join(this._releasesDir, version);
+		let manifest = null;
+		try {
+			manifest = JSON.parse(fs.readFileSync(path.join(releaseDir, MANIFEST_FILE), 'utf8'));
+		} catch (err) {
+			const message = (err.code === 'ENOENT') ? 'Manifest file not found' : `Invalid manifest file: ${err.message}`;
+			return [{ version, file: MANIFEST_FILE, message }];
+		}
+		const problems = [];
+		const files = manifest.files || {};
+		for (const file of Object.keys(files)) {
+			const absPath = path.join(releaseDir, file);
+			if (!fs.existsSync(absPath)) {
+				problems.push({ version, file, message: 'File not found' });
+			} else if (fs.statSync(absPath).size !== files[file].size) {
+				problems.push({ version, file, message: 'File size does not match the manifest' });
+			} else if (sha256File(absPath) !== files[file].sha256) {
+				problems.push({ version, file, message: 'SHA-256 hash does not match the manifest' });
+			}
+		}
+		for (const file of fg.sync('**/*.bin', { cwd: releaseDir, onlyFiles: true })) {
+			if (!files[file]) {
+				problems.push({ version, file, message: 'File is not listed in the manifest' });
+			}
+		}
+		return problems;
+	}
+
 	async _findMissingBinaries(version, modules) {
 		// Group modules by platform ID
 		modules = modules.reduce((map, m) => {
@@ -225,71 +419,16 @@ class ModuleCache {
 		return modules;
 	}
 
-	async _findDraftRelease(version) {
-		let page = 1;
-		for (;;) {
-			const resp = await this._github.repos.listReleases({
-				page,
-				per_page: MAX_RELEASES_PER_PAGE,
-				repo: REPO_NAME,
-				owner: REPO_OWNER
-			});
-			if (!resp.data.length) {
-				return null;
-			}
-			for (const release of resp.data) {
-				let ver = release.tag_name;
-				if (ver && release.draft) {
-					if (ver.startsWith('v')) {
-						ver = ver.slice(1);
-					}
-					if (semver.eq(ver, version)) {
-						return release;
-					}
-				}
-			}
-			++page;
-		}
-	}
-
 	async _downloadRelease(version, { draft = false } = {}) {
-		let release = null;
-		try {
-			const resp = await this._github.repos.getReleaseByTag({ tag: 'v' + version, repo: REPO_NAME, owner: REPO_OWNER });
-			release = resp.data;
-		} catch (err) {
-			if (err.status !== 404) {
-				throw err;
-			}
-			try {
-				// Try a tag without 'v'
-				const resp = await this._github.repos.getReleaseByTag({ tag: version, repo: REPO_NAME, owner: REPO_OWNER });
-				release = resp.data;
-			} catch (err) {
-				if (err.status !== 404) {
-					throw err;
-				}
-				if (draft) {
-					// Check for draft release before erroring
-					release = await this._findDraftRelease(version);
-				}
-				if (!release) {
-					throw new Error(`Release not found: ${version}`);
-				}
-			}
-		}
-		const allAssets = release.assets.map(a => ({
-			url: a.url,
-			file: a.name,
-			size: a.size
-		}));
+		const release = await this._source.getRelease(version, { draft });
+		const allAssets = release.assets;
 		// Get the list of module binaries
 		let assets = allAssets.filter(a => a.file.endsWith('.bin'));
 		if (!assets.length) {
 			// FIXME: .zip files contain incomplete sets of binaries
 			assets = allAssets.filter(a => a.file.endsWith('.zip'));
 			if (!assets.length) {
-				return [];
+				return { modules: [], tag: release.tag, draft: release.draft };
 			}
 		}
 		// Download files
@@ -304,7 +443,14 @@ class ModuleCache {
 			await decompress(file, dir);
 		}
 		const modules = await this._parseModuleBinaries(destDir);
-		return { modules, draft: release.draft };
+		for (const m of modules) {
+			// Binaries unpacked from a .zip file are stored in a directory named after the archive
+			const file = path.relative(destDir, m.file).split(path.sep).join('/');
+			const asset = assets.find(a => a.file === file || file.startsWith(a.file.replace(/\.zip$/, '/')));
+			m.assetId = asset ? asset.id : null;
+			m.releaseTag = release.tag;
+		}
+		return { modules, tag: release.tag, draft: release.draft };
 	}
 
 	async _parseModuleBinaries(dir) {
@@ -376,20 +522,27 @@ class ModuleCache {
 				type = ModuleType.RADIO_STACK;
 				break;
 			}
-			case ModuleFunction.MONO_FIRMWARE:
-			case ModuleFunction.RESOURCE:
+			case ModuleFunction.MONO_FIRMWARE: {
+				type = ModuleType.MONO_FIRMWARE;
+				break;
+			}
+			case ModuleFunction.RESOURCE: {
+				type = ModuleType.RESOURCE;
+				break;
+			}
 			case ModuleFunction.SETTINGS: {
-				throw new Error(`Unsupported module function: ${info.moduleFunction}`);
+				type = ModuleType.SETTINGS;
+				break;
 			}
 			default: {
 				throw new Error(`Unknown module function: ${info.moduleFunction}`);
 			}
 		}
-		const storageInfo = platform.storageForFirmwareModule(type, info.moduleIndex);
+		const startAddr = Number.parseInt(info.moduleStartAddy, 16);
+		const storageInfo = platform.storageForFirmwareModule(type, info.moduleIndex, { address: startAddr });
 		if (!storageInfo) {
 			throw new Error('Cannot determine storage device for firmware module');
 		}
-		const startAddr = Number.parseInt(info.moduleStartAddy, 16);
 		const endAddr = Number.parseInt(info.moduleEndAddy, 16);
 		const fileSize = fs.statSync(file).size;
 		const dependencies = [];
@@ -434,33 +587,7 @@ class ModuleCache {
 	}
 
 	async _listOlderReleaseVersions(version) {
-		let versions = new Set();
-		// List all releases
-		let page = 1;
-		for (;;) {
-			const resp = await this._github.repos.listReleases({
-				page,
-				per_page: MAX_RELEASES_PER_PAGE,
-				repo: REPO_NAME,
-				owner: REPO_OWNER
-			});
-			if (!resp.data.length) {
-				break;
-			}
-			for (const release of resp.data) {
-				let ver = release.tag_name;
-				if (ver) {
-					if (ver.startsWith('v')) {
-						ver = ver.slice(1);
-					}
-					if (semver.valid(ver)) {
-						versions.add(ver);
-					}
-				}
-			}
-			++page;
-		}
-		versions = Array.from(versions.values());
+		let versions = await this._source.listVersions();
 		versions = versions.filter(v => semver.lt(v, version));
 		versions.sort(semver.compare).reverse(); // Sort in descending order
 		return versions;
@@ -469,22 +596,25 @@ class ModuleCache {
 	async _downloadAssets(assets, dir) {
 		const limit = pLimit(MAX_CONCURRENT_DOWNLOADS);
 		const promises = assets.map(a => limit(async () => {
-			const opts = {
-				filename: a.file,
-				headers: {
-					accept: 'application/octet-stream',
-					'user-agent': `${PACKAGE_NAME.split('/').pop()}/${PACKAGE_VERSION}`
-				}
-			};
-			if (process.env.GITHUB_TOKEN) {
-				opts.headers.authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
-			}
 			for (let retry = 0; retry < MAX_DOWNLOAD_RETRIES; retry++) {
 				this._log.debug('Downloading', a.file);
 				const timeout = BASE_RETRY_TIMEOUT_MS * Math.pow(2, retry);
+				let lastLogTime = Date.now();
+				const onProgress = (bytes, total) => {
+					// Only report the progress of downloads that take a while
+					const now = Date.now();
+					if (now - lastLogTime >= PROGRESS_LOG_INTERVAL_MS) {
+						lastLogTime = now;
+						let msg = `Downloading ${a.file}: ${formatSize(bytes)}`;
+						if (total) {
+							msg += ` of ${formatSize(total)} (${Math.floor(bytes * 100 / total)}%)`;
+						}
+						this._log.verbose(msg);
+					}
+				};
 				try {
-					const res = await download(a.url, dir, opts);
-					return res;
+					await this._source.downloadAsset(a, dir, { onProgress });
+					return;
 				} catch (err) {
 					this._log.warn(`Failed to download ${a.file} ${retry + 1}/${MAX_DOWNLOAD_RETRIES}`, err.message);
 				}
@@ -3,13 +3,17 @@ const chai = require('chai');
 const expect = chai.expect;
 chai.use(require('chai-fs'));
 const { ModuleCache } = require('./module.js');
+const { LocalReleaseSource } = require('./source');
 const { Logger, LogLevel } = require('./log');
+const { sha256File } = require('./util');
 
 const rimraf = require('rimraf');
 const mkdirp = require('mkdirp');
+const fs = require('fs');
 const path = require('path');
 
 const TEST_DIR = 'test-fixtures';
+const ASSETS_DIR = path.resolve(__dirname, '../assets/binaries');
 
 describe(`ModuleCache (module.js)`, () => {
 	beforeEach(() => {
@@ -52,4 +56,162 @@ describe(`ModuleCache (module.js)`, () => {
 			expect(element.file).to.be.a.path();
 		}
 	});
+
+	describe('cache management', () => {
+		let moduleCache = null;
+
+		beforeEach(async () => {
+			moduleCache = new ModuleCache({
+				cacheDir: path.join(TEST_DIR, 'cache'),
+				tempDir: path.join(TEST_DIR, 'temp'),
+				log: new Logger({ level: LogLevel.ERROR })
+			});
+			await moduleCache.init();
+		});
+
+		it('imports module binaries as a release and lists the cached releases', async () => {
+			await moduleCache.importRelease(ASSETS_DIR, '1.0.0');
+			await moduleCache.importRelease(path.join(ASSETS_DIR, 'boron-softdevice@6.0.0.bin'), '2.0.0');
+			const releases = await moduleCache.listCachedReleases();
+			expect(releases.map(r => r.version)).to.deep.equal(['2.0.0', '1.0.0']);
+			expect(releases[0].platforms).to.deep.equal([
+				{ name: 'boron', files: 1, size: fs.statSync(path.join(ASSETS_DIR, 'boron-softdevice@6.0.0.bin')).size }
+			]);
+			expect(releases[1].platforms.map(p => p.name)).to.include.members(['argon', 'boron']);
+		});
+
+		it('removes and prunes cached releases', async () => {
+			for (const ver of ['1.0.0', '1.2.0', '1.10.0']) {
+				await moduleCache.importRelease(path.join(ASSETS_DIR, 'boron-softdevice@6.0.0.bin'), ver);
+			}
+			await moduleCache.removeCachedRelease('1.2.0');
+			expect(await moduleCache.pruneCachedReleases({ keep: 1 })).to.deep.equal(['1.0.0']);
+			const releases = await moduleCache.listCachedReleases();
+			expect(releases.map(r => r.version)).to.deep.equal(['1.10.0']);
+		});
+
+		it('reports corrupted module binaries', async () => {
+			const mods = await moduleCache.importRelease(path.join(ASSETS_DIR, 'boron-softdevice@6.0.0.bin'), '1.0.0');
+			expect(await moduleCache.verifyCachedReleases()).to.be.empty;
+			const fd = fs.openSync(mods[0].file, 'r+');
+			fs.writeSync(fd, Buffer.from([0xff, 0xff, 0xff, 0xff]), 0, 4, 1024);
+			fs.closeSync(fd);
+			expect(await moduleCache.verifyCachedReleases()).to.deep.equal([
+				{ version: '1.0.0', file: 'boron/boron-softdevice@6.0.0.bin', message: 'SHA-256 hash does not match the manifest' },
+				{ version: '1.0.0', file: 'boron/boron-softdevice@6.0.0.bin', message: 'CRC check failed' }
+			]);
+		});
+	});
+
+	describe('release manifest', () => {
+		const SRC_DIR = path.join(TEST_DIR, 'releases');
+		const MODULE_FILE = 'boron-softdevice@6.0.0.bin';
+
+		class TestReleaseSource extends LocalReleaseSource {
+			constructor(options) {
+				super(options);
+				this.downloads = 0;
+			}
+
+			async downloadAsset(asset, dir, options) {
+				++this.downloads;
+				return super.downloadAsset(asset, dir, options);
+			}
+
+			get cacheable() {
+				return true;
+			}
+		}
+
+		let source = null;
+		let moduleCache = null;
+
+		function cachedReleaseDir(version) {
+			return path.join(TEST_DIR, 'cache', 'sources', source.cacheKey, version);
+		}
+
+		beforeEach(async () => {
+			mkdirp.sync(path.join(SRC_DIR, '1.0.0', 'boron'));
+			fs.copyFileSync(path.join(ASSETS_DIR, MODULE_FILE), path.join(SRC_DIR, '1.0.0', 'boron', MODULE_FILE));
+			const log = new Logger({ level: LogLevel.ERROR });
+			source = new TestReleaseSource({ dir: SRC_DIR, log });
+			moduleCache = new ModuleCache({
+				cacheDir: path.join(TEST_DIR, 'cache'),
+				tempDir: path.join(TEST_DIR, 'temp'),
+				source,
+				log
+			});
+			await moduleCache.init();
+		});
+
+		it('writes a manifest when caching a release', async () => {
+			await moduleCache.getReleaseModules('1.0.0');
+			const manifest = JSON.parse(fs.readFileSync(path.join(cachedReleaseDir('1.0.0'), 'manifest.json'), 'utf8'));
+			expect(manifest).to.include({ version: '1.0.0', tag: '1.0.0' });
+			expect(manifest.fetchedAt).to.be.a('string');
+			expect(manifest.files).to.have.all.keys(`boron/${MODULE_FILE}`);
+			expect(manifest.files[`boron/${MODULE_FILE}`]).to.include({
+				sha256: sha256File(path.join(ASSETS_DIR, MODULE_FILE)),
+				size: fs.statSync(path.join(ASSETS_DIR, MODULE_FILE)).size,
+				tag: '1.0.0'
+			});
+		});
+
+		it('downloads the release again if the cached binaries do not match the manifest', async () => {
+			await moduleCache.getReleaseModules('1.0.0');
+			await moduleCache.getReleaseModules('1.0.0');
+			expect(source.downloads).to.equal(1);
+			const cachedFile = path.join(cachedReleaseDir('1.0.0'), 'boron', MODULE_FILE);
+			fs.truncateSync(cachedFile, 1024);
+			const mods = await moduleCache.getReleaseModules('1.0.0');
+			expect(source.downloads).to.equal(2);
+			expect(mods).to.have.lengthOf(1);
+			expect(sha256File(cachedFile)).to.equal(sha256File(path.join(ASSETS_DIR, MODULE_FILE)));
+		});
+
+		it('caches the releases of different sources separately', async () => {
+			await moduleCache.getReleaseModules('1.0.0');
+			expect(path.join(TEST_DIR, 'cache', '1.0.0')).to.not.be.a.path();
+			const otherDir = path.join(TEST_DIR, 'other-releases');
+			mkdirp.sync(path.join(otherDir, '1.0.0', 'boron'));
+			fs.copyFileSync(path.join(ASSETS_DIR, MODULE_FILE), path.join(otherDir, '1.0.0', 'boron', MODULE_FILE));
+			const log = new Logger({ level: LogLevel.ERROR });
+			const otherSource = new TestReleaseSource({ dir: otherDir, log });
+			const otherCache = new ModuleCache({
+				cacheDir: path.join(TEST_DIR, 'cache'),
+				tempDir: path.join(TEST_DIR, 'temp'),
+				source: otherSource,
+				log
+			});
+			await otherCache.init();
+			await otherCache.getReleaseModules('1.0.0');
+			expect(otherSource.downloads).to.equal(1);
+			expect(otherSource.cacheKey).to.not.equal(source.cacheKey);
+			expect(path.join(TEST_DIR, 'cache', 'sources', otherSource.cacheKey, '1.0.0', 'manifest.json')).to.be.a.file();
+		});
+
+		it('writes a manifest for a release cached without one', async () => {
+			await moduleCache.getReleaseModules('1.0.0');
+			const manifestFile = path.join(cachedReleaseDir('1.0.0'), 'manifest.json');
+			fs.unlinkSync(manifestFile);
+			const mods = await moduleCache.getReleaseModules('1.0.0');
+			expect(source.downloads).to.equal(1);
+			expect(mods).to.have.lengthOf(1);
+			const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+			expect(manifest).to.include({ version: '1.0.0', tag: null });
+			expect(manifest.files[`boron/${MODULE_FILE}`]).to.include({ sha256: sha256File(path.join(ASSETS_DIR, MODULE_FILE)) });
+		});
+
+		it('downloads the release again if a binary cached without a manifest is corrupted', async () => {
+			await moduleCache.getReleaseModules('1.0.0');
+			fs.unlinkSync(path.join(cachedReleaseDir('1.0.0'), 'manifest.json'));
+			const cachedFile = path.join(cachedReleaseDir('1.0.0'), 'boron', MODULE_FILE);
+			const fd = fs.openSync(cachedFile, 'r+');
+			fs.writeSync(fd, Buffer.from([0xff, 0xff, 0xff, 0xff]), 0, 4, 1024);
+			fs.closeSync(fd);
+			await moduleCache.getReleaseModules('1.0.0');
+			expect(source.downloads).to.equal(2);
+			expect(sha256File(cachedFile)).to.equal(sha256File(path.join(ASSETS_DIR, MODULE_FILE)));
+		});
+	});
 });
@@ -1,124 +1,24 @@
 'use strict';
-const { Device, FlashInterface } = require('./device');
+const { Device, FlashInterface, InterfaceType } = require('./device');
+const { AdapterType, getMcuInfo, ignoredAdapterSerials, listAdapters } = require('./adapter');
 const { StorageType } = require('./platform');
+const { TclRpcClient } = require('./tcl');
+const { PortAllocator, parsePortRange } = require('./port');
 const { delay, formatCommand, isSpace, isPrintable, toUInt32Hex } = require('./util');
 
-// Legacy API import
-const { usb } = require('usb');
 const Telnet = require('telnet-client');
 const which = require('which');
 
 const EventEmitter = require('events');
 const { spawn } = require('child_process');
 
+const fs = require('fs');
 const path = require('path');
 const os = require('os');
 
-const AdapterType = {
-	DAPLINK: 'daplink',
-	STLINK_V2: 'stlink_v2',
-	JLINK: 'jlink'
-};
-
-// Supported debuggers
-const ADAPTER_INFO = [
-	{
-		type: AdapterType.DAPLINK,
-		displayName: 'DAPLink',
-		usbVendorId: 0x0d28,
-		usbProductId: 0x0204,
-		interfaceConfig: 'cmsis-dap.cfg',
-		serialParam: 'cmsis_dap_serial',
-		transport: 'swd',
-		platformMcu: ['nrf52840', 'stm32f2xx', 'rtl872x']
-	},
-	{
-		// Support for hs-probe: https://github.com/probe-rs/hs-probe
-		// supports usb bulk (v2)
-		type: AdapterType.DAPLINK,
-		displayName: 'hs-probe',
-		usbVendorId: 0x1209,
-		usbProductId: 0x4853,
-		interfaceConfig: 'cmsis-dap.cfg',
-		serialParam: 'cmsis_dap_serial',
-		transport: 'swd',
-		platformMcu: ['nrf52840', 'stm32f2xx', 'rtl872x']
-	},
-	{
-		type: AdapterType.STLINK_V2,
-		displayName: 'ST-LINK/V2',
-		usbVendorId: 0x0483,
-		usbProductId: 0x3748,
-		interfaceConfig: 'stlink-v2.cfg', // Deprecated in recent versions of OpenOCD
-		serialParam: 'hla_serial',
-		transport: 'hla_swd',
-		platformMcu: ['stm32f2xx']
-	},
-	{
-		type: AdapterType.JLINK,
-		displayName: 'JLink',
-		usbVendorId: 0x1366,
-		usbProductId: 0x0101,
-		interfaceConfig: 'jlink.cfg',
-		serialParam: 'jlink serial',
-		transport: 'swd',
-		platformMcu: ['nrf52840', 'stm32f2xx', 'rtl872x']
-	},
-	{
-		type: AdapterType.JLINK,
-		displayName: 'JLink (NRFDK)',
-		usbVendorId: 0x1366,
-		usbProductId: 0x1015,
-		interfaceConfig: 'jlink.cfg',
-		serialParam: 'jlink serial',
-		transport: 'swd',
-		platformMcu: ['nrf52840', 'stm32f2xx', 'rtl872x']
-	}
-];
-
-// Supported MCUs
-const MCU_INFO = [
-	{
-		baseMcu: 'stm32f2xx',
-		targetConfig: 'stm32f2x.cfg',
-		mcuManufacturer: 'STMicroelectronics', // JEDEC manufacturer string
-		deviceIdAddress: 0x1fff7a10, // UID
-		// By default, Device OS for Gen 2 platforms is built without support for JTAG/SWD debugging,
-		// so the target device needs to be reset when attaching to it with a debugger
-		assertSrstOnConnect: true,
-		// The bootloader's sector in flash may be locked
-		unlockFlash: true
-	},
-	{
-		baseMcu: 'nrf52840',
-		targetConfig: 'nrf52.cfg',
-		mcuManufacturer: 'Nordic VLSI ASA',
-		deviceIdAddress: 0x10000060, // FICR
-		deviceIdPrefix: 'e00fce68'
-	},
-	{
-		baseMcu: 'rtl872x',
-		targetConfig: 'rtl872x.tcl',
-		mcuManufacturer: 'Realtek',
-		deviceIdProcedure: 'rtl872x_read_efuse_mac; rtl872x_wdg_reset',
-		deviceIdPrefix: '0a10aced2021',
-		deviceIdRegex: new RegExp(`MAC:\\s([A-Fa-f0-9]{2}):([A-Fa-f0-9]{2}):([A-Fa-f0-9]{2}):([A-Fa-f0-9]{2}):([A-Fa-f0-9]{2}):([A-Fa-f0-9]{2})`),
-		// FIXME: verification is disabled, it fails on some versions of OpenOCD
-		flashWriteProcedure: (binary, address) => {
-			return `rtl872x_flash_write_bin_ext ${binary} ${address} 1 1`;
-		},
-		resetRunProcedure: 'rtl872x_wdg_reset',
-	}
-];
-
-const ADAPTER_INFO_BY_USB_ID = ADAPTER_INFO.reduce((map, info) =>
-	map.set(makeUsbDeviceId(info.usbVendorId, info.usbProductId), info), new Map());
-const MCU_INFO_BY_NAME = MCU_INFO.reduce((map, info) => map.set(info.baseMcu, info), new Map());
-
-const DEFAULT_TELNET_PORT = 4444;
-
 const OPENOCD_STARTUP_TIMEOUT = 10000;
 const TELNET_CONNECT_TIMEOUT = 10000;
+const TCL_CONNECT_TIMEOUT = 10000;
 const DEFAULT_COMMAND_TIMEOUT = 10000;
 const FLASH_COMMAND_TIMEOUT = 2 * 60 * 1000;
 
@@ -126,22 +26,13 @@ const MIN_OPENOCD_RESTART_INTERVAL = 1000;
 const MAX_OPENOCD_RESTART_INTERVAL = 3000;
 const MIN_DEVICE_RESET_INTERVAL = 5000;
 
+// Maximum number of attempts to start OpenOCD if the allocated ports turn out to be in use
+const MAX_PORT_ALLOCATION_ATTEMPTS = 5;
+
 const DEVICE_ID_SIZE = 24; // Hex-encoded
 
 const ARM_MAX_DEBUG_PORTS = 5;
 
-function getMcuInfo(mcu) {
-	const info = MCU_INFO_BY_NAME.get(mcu);
-	if (!info) {
-		throw new Error(`Unknown MCU: ${mcu}`);
-	}
-	return info;
-}
-
-function makeUsbDeviceId(vendorId, productId) {
-	return [vendorId, productId].map(id => id.toString(16).padStart(4, '0')).join(':');
-}
-
 function trimTelnetResponseLine(line) {
 	let begin = 0;
 	for (; begin < line.length; ++begin) {
@@ -184,6 +75,12 @@ function splitTelnetResponseLines(resp) {
 	return lines.filter(line => !!line);
 }
 
+// Transports for running OpenOCD commands
+const OpenOcdTransport = {
+	TCL: 'tcl', // Tcl RPC server
+	TELNET: 'telnet' // Telnet server. Used if the Tcl RPC server is not available
+};
+
 const OpenOcdState = {
 	STOPPED: 'stopped',
 	STARTING: 'starting',
@@ -199,19 +96,31 @@ class OpenOcd extends EventEmitter {
 		this._procRunning = false;
 		this._telnet = null;
 		this._telnetConnected = false;
+		this._tcl = null;
+		this._tclConnected = false;
 		this._cmdRunning = false;
 		this._state = OpenOcdState.STOPPED;
 	}
 
-	async start(args, port) {
+	async start(args, { telnetPort = null, tclPort = null } = {}) {
 		if (this._state !== OpenOcdState.STOPPED) {
 			throw new Error('OpenOCD is already running');
 		}
 		try {
 			this._setState(OpenOcdState.STARTING);
 			await this._startProcess(args);
-			if (port) {
-				await this._connectTelnet(port);
+			if (tclPort) {
+				try {
+					await this._connectTcl(tclPort);
+				} catch (err) {
+					if (!telnetPort) {
+						throw err;
+					}
+					this._log.verbose(`Tcl RPC is not available, using telnet: ${err.message}`);
+				}
+			}
+			if (!this._tclConnected && telnetPort) {
+				await this._connectTelnet(telnetPort);
 			}
 			if (this._state !== OpenOcdState.STARTING) {
 				throw new Error('Stop requested');
@@ -234,6 +143,7 @@ class OpenOcd extends EventEmitter {
 		}
 		this._setState(OpenOcdState.STOPPING);
 		await this._stopProcess();
+		await this._disconnectTcl();
 		await this._disconnectTelnet();
 		this._setState(OpenOcdState.STOPPED);
 	}
@@ -248,8 +158,19 @@ class OpenOcd extends EventEmitter {
 		this._cmdRunning = true;
 		try {
 			this._log.debug('>', cmd);
-			let resp = await this._telnet.exec(cmd, { execTimeout: timeout });
-			resp = splitTelnetResponseLines(resp);
+			let resp = null;
+			if (this._tclConnected) {
+				try {
+					resp = await this._tcl.command(cmd, { timeout });
+				} catch (err) {
+					this._log.debug('<', err.message);
+					throw err;
+				}
+				resp = resp.split('\n').map(line => line.trimRight()).filter(line => !!line);
+			} else {
+				resp = await this._telnet.exec(cmd, { execTimeout: timeout });
+				resp = splitTelnetResponseLines(resp);
+			}
 			for (const line of resp) {
 				this._log.debug('<', line);
 			}
@@ -259,6 +180,28 @@ class OpenOcd extends EventEmitter {
 		}
 	}
 
+	// Evaluates a Tcl script and returns its result. Requires the Tcl RPC transport
+	async exec(script, { timeout = DEFAULT_COMMAND_TIMEOUT } = {}) {
+		if (this._state !== OpenOcdState.RUNNING) {
+			throw new Error('OpenOCD is not running');
+		}
+		if (!this._tclConnected) {
+			throw new Error('Tcl RPC is not available');
+		}
+		if (this._cmdRunning) {
+			throw new Error('Another command is running');
+		}
+		this._cmdRunning = true;
+		try {
+			this._log.debug('>', script);
+			const result = await this._tcl.exec(script, { timeout });
+			this._log.debug('<', result);
+			return result;
+		} finally {
+			this._cmdRunning = false;
+		}
+	}
+
 	get state() {
 		return this._state;
 	}
@@ -267,6 +210,17 @@ class OpenOcd extends EventEmitter {
 		return this._cmdRunning;
 	}
 
+	// Returns the transport used for running commands, or null if OpenOCD is not running
+	get transport() {
+		if (this._tclConnected) {
+			return OpenOcdTransport.TCL;
+		}
+		if (this._telnetConnected) {
+			return OpenOcdTransport.TELNET;
+		}
+		return null;
+	}
+
 	set log(log) {
 		this._log = log;
 	}
@@ -372,7 +326,16 @@ class OpenOcd extends EventEmitter {
 				this.once('_processStopped', resolve);
 			});
 			let kill = true;
-			if (this._telnetConnected && !this._cmdRunning) {
+			if (this._tclConnected && !this._cmdRunning) {
+				try {
+					this._log.debug('> shutdown');
+					this._tcl.send('shutdown');
+					await this._tcl.end();
+					kill = false;
+				} catch (err) {
+					this._log.warn(err.message);
+				}
+			} else if (this._telnetConnected && !this._cmdRunning) {
 				try {
 					this._log.debug('> shutdown');
 					await this._telnet.send('shutdown', { timeout: 1000 });
@@ -428,6 +391,38 @@ class OpenOcd extends EventEmitter {
 		this._telnetConnected = true;
 	}
 
+	async _connectTcl(port) {
+		const tcl = new TclRpcClient();
+		await tcl.connect({ port, timeout: TCL_CONNECT_TIMEOUT });
+		try {
+			// Older versions of OpenOCD don't have the command for capturing the output of other commands
+			await tcl.command('version');
+		} catch (err) {
+			tcl.destroy();
+			throw err;
+		}
+		tcl.once('close', async () => {
+			this._tclConnected = false;
+			this.emit('_tclDisconnected');
+			if (this._state !== OpenOcdState.STOPPING) {
+				await this._error(new Error('Tcl RPC connection closed unexpectedly'));
+			}
+		});
+		this._tcl = tcl;
+		this._tclConnected = true;
+	}
+
+	async _disconnectTcl() {
+		if (this._tclConnected) {
+			const disconnected = new Promise(resolve => {
+				this.once('_tclDisconnected', resolve);
+			});
+			this._tcl.destroy();
+			await disconnected;
+			this._tclConnected = false;
+		}
+	}
+
 	async _disconnectTelnet() {
 		if (this._telnetConnected) {
 			const disconnected = new Promise(resolve => {
@@ -460,13 +455,23 @@ class OpenOcd extends EventEmitter {
 	}
 }
 
-class OpenOcdDevice extends Device {
-	constructor({ info, serial, port, log }) {
-		super({ log });
+// A long-lived OpenOCD process attached to a single debug adapter. The process is started once the
+// target MCU is known and keeps running while the device is opened and closed multiple times, so
+// that flashing, reading the device ID and resetting the device do not require restarting OpenOCD
+class OpenOcdSession {
+	constructor({ info, serial, usbPort = null, ports, minRestartInterval = MIN_OPENOCD_RESTART_INTERVAL, maxRestartInterval = MAX_OPENOCD_RESTART_INTERVAL, minResetInterval = MIN_DEVICE_RESET_INTERVAL, log }) {
+		this._log = log;
 		this._info = info;
 		this._serial = serial;
-		this._port = port || DEFAULT_TELNET_PORT;
-		this._target = null;
+		this._usbPort = usbPort; // Location of the adapter
+		this._ports = ports; // Port allocator
+		this._minRestartInterval = minRestartInterval;
+		this._maxRestartInterval = maxRestartInterval;
+		this._minResetInterval = minResetInterval;
+		this._telnetPort = null;
+		this._tclPort = null;
+		this._target = null; // Target MCU info
+		this._deviceOpen = false; // Whether a device is open via this session
 		const now = Date.now();
 		this._lastStopped = now;
 		this._lastReset = now;
@@ -476,148 +481,146 @@ class OpenOcdDevice extends Device {
 		});
 	}
 
-	async open(/* options */) {
-		if (this._openocd.state !== OpenOcdState.STOPPED) {
-			throw new Error('Device is already open');
+	// Starts OpenOCD for the target MCU unless it's already running. Returns true if OpenOCD was
+	// started, or false if an existing process is reused
+	async start() {
+		if (this._openocd.state === OpenOcdState.RUNNING) {
+			return false;
 		}
-		try {
-			if (!this._target) {
-				this._log.verbose('Detecting target platform');
-				let platform = null;
-				try {
-					platform = await this._detectPlatform({ assertSrst: false });
-				} catch (_err) {
-					this._log.verbose('Retrying with asserted SRST');
-					platform = await this._detectPlatform({ assertSrst: true });
-				}
-				this._log.verbose(`Target platform: ${platform.baseMcu}`);
-				this._target = platform;
-			}
-			const cmds = [
-				`${this._info.serialParam} ${this._serial}`,
-				`telnet_port ${this._port}`,
-				'gdb_port disabled',
-				'tcl_port disabled'
-			];
-			if (this._target.assertSrstOnConnect) {
-				cmds.push('reset_config connect_assert_srst srst_only srst_nogate');
-			}
-			cmds.push('init');
-			const args = [
-				'-f', `interface/${this._info.interfaceConfig}`,
-				'-f', `target/${this._target.targetConfig}`,
-				'-c', cmds.join('; ')
-			];
-			await this._startOpenOcd(args, { resetAndHalt: this._target.assertSrstOnConnect });
-			if (!this.id) {
-				this.id = await this._getDeviceId();
-				this._log.verbose('Device ID:', this.id);
+		if (!this._target) {
+			this._log.verbose('Detecting target platform');
+			let target = null;
+			try {
+				target = await this._detectTarget({ assertSrst: false });
+			} catch (_err) {
+				this._log.verbose('Retrying with asserted SRST');
+				target = await this._detectTarget({ assertSrst: true });
 			}
-		} catch (err) {
-			await this.close();
-			throw err;
+			this._log.verbose(`Target platform: ${target.baseMcu}`);
+			this._target = target;
+		}
+		const cmds = this._commonConfigCommands();
+		if (this._target.assertSrstOnConnect) {
+			cmds.push('reset_config connect_assert_srst srst_only srst_nogate');
 		}
+		cmds.push('init');
+		const args = [
+			'-f', `interface/${this._info.interfaceConfig}`,
+			'-f', `target/${this._target.targetConfig}`,
+			'-c', cmds.join('; ')
+		];
+		await this._startOpenOcd(args, { resetAndHalt: this._target.assertSrstOnConnect });
+		return true;
 	}
 
-	async close() {
-		if (this._target && this._target.assertSrstOnConnect && this._openocd.state === OpenOcdState.RUNNING &&
-				!this._openocd.isCommandRunning) {
-			try {
-				await this._resetTarget('run');
-			} catch (_err) {
-				// Ignore error
-			}
+	async stop() {
+		if (this._openocd.state !== OpenOcdState.STOPPED) {
+			this._log.debug('Stopping OpenOCD');
+			await this._openocd.stop();
+			this._lastStopped = Date.now();
 		}
-		await this._stopOpenOcd();
 	}
 
-	async reset() {
-		await this._resetTarget('run');
+	// Stops OpenOCD after an error. The target is detected again when OpenOCD is restarted as the
+	// adapter may have been attached to a different device in the meantime
+	async abort() {
+		await this.stop();
+		this._target = null;
 	}
 
-	async prepareToFlash() {
-		await this._resetTarget('init');
+	// Stops OpenOCD and releases the allocated ports
+	async close() {
+		await this.stop();
+		this._releasePorts();
 	}
 
-	async flashModule(module) {
-		if (!this.canFlashModule(module)) {
-			throw new Error('Unsupported module');
-		}
-		await this.writeToFlash(module.file, module.storage, module.address);
+	async command(cmd, options) {
+		return this._openocd.command(cmd, options);
 	}
 
-	async writeToFlash(file, storage, address) {
-		if (!this.canWriteToFlash(storage)) {
-			throw new Error('Unsupported storage');
-		}
-		// OpenOCD on Windows is bad with paths with backslashes, convert to forward slashes
-		if (os.platform() === 'win32') {
-			file = file.split(path.sep).join(path.posix.sep);
+	async resetTarget(mode = 'run') {
+		const dt = Date.now() - this._lastReset;
+		if (dt < this._minResetInterval) {
+			await delay(this._minResetInterval - dt);
 		}
-
-		const addrStr = toUInt32Hex(address);
-		if (!this._target.flashWriteProcedure) {
-			if (this._target.unlockFlash) {
-				const resp = await this._openocd.command(`flash write_image erase unlock ${file} ${addrStr}`, { timeout: FLASH_COMMAND_TIMEOUT });
-				if (!resp.match(/wrote \d+ bytes from file/i)) {
-					throw new Error('Programming failed' + ('\n' + resp).trimRight());
-				}
-			} else {
-				const resp = await this._openocd.command(`program ${file} ${addrStr}`, { timeout: FLASH_COMMAND_TIMEOUT });
-				if (!resp.match(/\* Programming Finished \*/i)) {
-					throw new Error('Programming failed' + ('\n' + resp).trimRight());
-				}
-			}
+		if (mode === 'run' && this._target && this._target.resetRunProcedure) {
+			await this._openocd.command(this._target.resetRunProcedure);
 		} else {
-			const cmd = this._target.flashWriteProcedure(file, addrStr);
-			const resp = await this._openocd.command(cmd, { timeout: FLASH_COMMAND_TIMEOUT });
-			if (!resp.match(/\* Programming Finished \*/i)) {
-				throw new Error('Programming failed' + ('\n' + resp).trimRight());
+			const resp = await this._openocd.command('reset ' + mode);
+			if ((mode === 'init' || mode === 'halt') && !(await this._isTargetHalted(resp))) {
+				this._log.debug('Falling back to soft reset and halt');
+				await this._openocd.command('soft_reset_halt');
 			}
 		}
+		this._lastReset = Date.now();
 	}
 
-	canFlashModule(module) {
-		return this.canWriteToFlash(module.storage);
+	get target() {
+		return this._target;
 	}
 
-	canWriteToFlash(storage) {
-		return (storage === StorageType.INTERNAL_FLASH);
+	get usbPort() {
+		return this._usbPort;
 	}
 
-	get adapterInfo() {
-		return this._info;
+	get isRunning() {
+		return this._openocd.state === OpenOcdState.RUNNING;
 	}
 
-	get serialNumber() {
-		return this._serial;
+	set isDeviceOpen(open) {
+		this._deviceOpen = open;
+	}
+
+	get isDeviceOpen() {
+		return this._deviceOpen;
+	}
+
+	get isCommandRunning() {
+		return this._openocd.isCommandRunning;
+	}
+
+	get transport() {
+		return this._openocd.transport;
 	}
 
 	set log(log) {
-		super.log = log;
+		this._log = log;
 		this._openocd.log = log;
 	}
 
 	get log() {
-		return super.log;
+		return this._log;
+	}
+
+	async _isTargetHalted(resetResp) {
+		if (this._openocd.transport === OpenOcdTransport.TCL) {
+			// The halt message is not necessarily part of the captured output of the reset command.
+			// curstate returns the state instead of printing it, so its result is not captured
+			const state = await this._openocd.exec('[target current] curstate');
+			return state.trim() === 'halted';
+		}
+		return !!resetResp.match(/target halted due to/i);
 	}
 
-	async _detectPlatform({ assertSrst = false } = {}) {
+	_commonConfigCommands() {
+		return [
+			`${this._info.serialParam} ${this._serial}`
+		];
+	}
+
+	async _detectTarget({ assertSrst = false } = {}) {
+		const platformMcu = this._info.platformMcu;
+		if (platformMcu.length === 1) {
+			return getMcuInfo(platformMcu[0]);
+		}
 		try {
-			const platformMcu = this._info.platformMcu;
-			if (platformMcu.length === 1) {
-				return getMcuInfo(platformMcu[0]);
-			}
 			const trans = this._info.transport;
 			if (trans !== 'swd') {
 				throw new Error('Unsupported transport');
 			}
 			const type = 'cortex_m';
 			const cmds = [
-				`${this._info.serialParam} ${this._serial}`,
-				`telnet_port ${this._port}`,
-				'gdb_port disabled',
-				'tcl_port disabled',
+				...this._commonConfigCommands(),
 				`transport select ${trans}`,
 				'adapter_khz 1000',
 				'swd newdap chip cpu -enable',
@@ -641,67 +644,40 @@ class OpenOcdDevice extends Device {
 				}
 				resp += r;
 			}
-			let platform = null;
+			let target = null;
 			for (const mcu of platformMcu) {
-				const p = getMcuInfo(mcu);
-				if (resp.includes(p.mcuManufacturer)) {
-					platform = p;
+				const t = getMcuInfo(mcu);
+				if (resp.includes(t.mcuManufacturer)) {
+					target = t;
 					break;
 				}
 			}
 			if (assertSrst) {
-				await this._resetTarget('run');
+				await this.resetTarget('run');
 			}
-			if (!platform) {
+			if (!target) {
 				throw new Error('Unknown target platform' + ('\n' + resp).trimRight());
 			}
-			return platform;
+			return target;
 		} finally {
-			await this._stopOpenOcd();
-		}
-	}
-
-	async _getDeviceId() {
-		const prefix = this._target.deviceIdPrefix || ''; // Hex-encoded
-		let match = null;
-		let resp;
-		if (this._target.deviceIdAddress) {
-			const addrStr = toUInt32Hex(this._target.deviceIdAddress);
-			const size = Math.floor((DEVICE_ID_SIZE - prefix.length) / 2);
-			resp = await this._openocd.command(`mdb ${addrStr} ${size}`);
-			const rx = new RegExp(`^${addrStr}:\\s((?:[0-9A-Za-z]{2}\\s?){${size}})$`);
-			match = rx.exec(resp);
-		} else if (this._target.deviceIdProcedure) {
-			resp = await this._openocd.command(this._target.deviceIdProcedure);
-			match = this._target.deviceIdRegex.exec(resp);
-			if (match && match.length > 1) {
-				// Fixup results a bit if regex got device id that consists of multiple parts
-				for (let i = 2; i < match.length; i++) {
-					match[1] += match[i];
-				}
-				match.length = 2;
-			}
-		}
-		if (!match || match.length !== 2) {
-			throw new Error('Unable to read device ID' + ('\n' + resp).trimRight());
+			// The target-specific configuration cannot be loaded into a running OpenOCD instance
+			await this.stop();
 		}
-		const id = prefix + match[1].replace(/\s/g, '').toLowerCase();
-		return id;
 	}
 
 	async _startOpenOcd(args, { resetAndHalt = false } = {}) {
 		const now = Date.now();
 		let startDelay = 0;
-		const restartInterval = MIN_OPENOCD_RESTART_INTERVAL +
-				Math.ceil((MAX_OPENOCD_RESTART_INTERVAL - MIN_OPENOCD_RESTART_INTERVAL) * Math.random());
+		const restartInterval = this._minRestartInterval +
+				Math.ceil((this._maxRestartInterval - this._minRestartInterval) * Math.random());
 		let dt = now - this._lastStopped;
 		if (dt < restartInterval) {
 			startDelay = restartInterval - dt;
 		}
 		if (resetAndHalt) {
 			dt = now - this._lastReset;
-			if (dt < MIN_DEVICE_RESET_INTERVAL) {
-				dt = MIN_DEVICE_RESET_INTERVAL - dt;
+			if (dt < this._minResetInterval) {
+				dt = this._minResetInterval - dt;
 				if (dt > startDelay) {
 					startDelay = dt;
 				}
@@ -710,41 +686,254 @@ class OpenOcdDevice extends Device {
 		if (startDelay) {
 			await delay(startDelay);
 		}
+		for (let attempt = 1; ; ++attempt) {
+			if (!this._telnetPort) {
+				[this._telnetPort, this._tclPort] = await this._ports.allocate(2);
+			}
+			try {
+				this._log.debug(`Starting OpenOCD; telnet port: ${this._telnetPort}; Tcl port: ${this._tclPort}`);
+				const portArgs = ['-c', `telnet_port ${this._telnetPort}; tcl_port ${this._tclPort}; gdb_port disabled`];
+				await this._openocd.start([...portArgs, ...args], { telnetPort: this._telnetPort, tclPort: this._tclPort });
+				break;
+			} catch (err) {
+				this._lastStopped = Date.now();
+				// The ports may have been taken by another process since they were allocated
+				if (!err.message.match(/address already in use|couldn't bind/i) || attempt >= MAX_PORT_ALLOCATION_ATTEMPTS) {
+					throw err;
+				}
+				this._log.verbose('Port is already in use, retrying with different ports');
+				this._releasePorts();
+			}
+		}
+		if (resetAndHalt) {
+			await this.resetTarget('halt');
+		}
+	}
+
+	_releasePorts() {
+		if (this._telnetPort) {
+			this._ports.release([this._telnetPort, this._tclPort]);
+			this._telnetPort = null;
+			this._tclPort = null;
+		}
+	}
+}
+
+class OpenOcdDevice extends Device {
+	constructor({ info, serial, session, usbPort, log }) {
+		super({ usbPort, log });
+		this._info = info;
+		this._serial = serial;
+		this._session = session;
+		this._open = false;
+	}
+
+	async open(/* options */) {
+		if (this._open) {
+			throw new Error('Device is already open');
+		}
 		try {
-			this._log.debug(`Starting OpenOCD; port: ${this._port}`);
-			await this._openocd.start(args, this._port);
+			const started = await this._session.start();
+			if (!started && this._session.target.assertSrstOnConnect) {
+				// Halt the target as if OpenOCD was started anew
+				await this._session.resetTarget('halt');
+			}
+			if (!this.id) {
+				this.id = await this._getDeviceId();
+				this._log.verbose('Device ID:', this.id);
+			}
+			this._open = true;
+			this._session.isDeviceOpen = true;
 		} catch (err) {
-			this._lastStopped = Date.now();
+			// Start over with a new OpenOCD process next time
+			await this._session.abort();
 			throw err;
 		}
-		if (resetAndHalt) {
-			await this._resetTarget('halt');
+	}
+
+	async close() {
+		if (!this._open) {
+			return;
+		}
+		this._open = false;
+		this._session.isDeviceOpen = false;
+		const target = this._session.target;
+		if (target && target.assertSrstOnConnect && this._session.isRunning && !this._session.isCommandRunning) {
+			try {
+				await this._session.resetTarget('run');
+			} catch (_err) {
+				// Ignore error
+			}
+		}
+		if (this._session.isCommandRunning) {
+			// A command has been interrupted, the state of OpenOCD is unknown
+			await this._session.abort();
 		}
 	}
 
-	async _stopOpenOcd() {
-		if (this._openocd.state !== OpenOcdState.STOPPED) {
-			this._log.debug('Stopping OpenOCD');
-			await this._openocd.stop();
-			this._lastStopped = Date.now();
+	async reset() {
+		this.emit('reset');
+		await this._session.resetTarget('run');
+	}
+
+	async prepareToFlash() {
+		await this._session.resetTarget('init');
+	}
+
+	async flashModule(module) {
+		if (!this.canFlashModule(module)) {
+			throw new Error('Unsupported module');
 		}
+		await this.writeToFlash(module.file, module.storage, module.address);
 	}
 
-	async _resetTarget(mode = 'run') {
-		const dt = Date.now() - this._lastReset;
-		if (dt < MIN_DEVICE_RESET_INTERVAL) {
-			await delay(MIN_DEVICE_RESET_INTERVAL - dt);
+	async writeToFlash(file, storage, address) {
+		if (!this.canWriteToFlash(storage)) {
+			throw new Error('Unsupported storage');
 		}
-		if (mode === 'run' && this._target && this._target.resetRunProcedure) {
-			await this._openocd.command(this._target.resetRunProcedure);
+		// OpenOCD on Windows is bad with paths with backslashes, convert to forward slashes
+		if (os.platform() === 'win32') {
+			file = file.split(path.sep).join(path.posix.sep);
+		}
+
+		// OpenOCD only reports the number of bytes written when the command completes, so there's no
+		// intermediate progress to report
+		const total = fs.statSync(file).size;
+		this.emit('progress', { bytes: 0, total });
+		const addrStr = toUInt32Hex(address);
+		const target = this._session.target;
+		if (!target.flashWriteProcedure) {
+			if (target.unlockFlash) {
+				await this._flashCommand(`flash write_image erase unlock ${file} ${addrStr}`, {
+					expect: /wrote \d+ bytes from file/i,
+					error: 'Programming failed'
+				});
+			} else {
+				await this._flashCommand(`program ${file} ${addrStr}`, {
+					expect: /\* Programming Finished \*/i,
+					error: 'Programming failed'
+				});
+			}
 		} else {
-			const resp = await this._openocd.command('reset ' + mode);
-			if ((mode === 'init' || mode === 'halt') && !resp.match(/target halted due to/i)) {
-				this._log.debug('Falling back to soft reset and halt');
-				await this._openocd.command('soft_reset_halt');
+			// Target-specific procedures do not necessarily raise an error if programming fails
+			await this._flashCommand(target.flashWriteProcedure(file, addrStr), {
+				expect: /\* Programming Finished \*/i,
+				error: 'Programming failed',
+				checkOutput: true
+			});
+		}
+		this.emit('progress', { bytes: total, total });
+	}
+
+	async readFromFlash(file, storage, address, size) {
+		if (!this.canReadFromFlash(storage)) {
+			throw new Error('Unsupported storage');
+		}
+		if (os.platform() === 'win32') {
+			file = file.split(path.sep).join(path.posix.sep);
+		}
+		await this._flashCommand(`dump_image ${file} ${toUInt32Hex(address)} ${size}`, {
+			expect: /dumped \d+ bytes/i,
+			error: 'Reading failed'
+		});
+	}
+
+	async eraseFlash() {
+		if (!this.canEraseFlash()) {
+			throw new Error('Erasing the flash memory is not supported for this target');
+		}
+		// Mass erase commands do not report success consistently across targets and OpenOCD versions
+		await this._flashCommand(this._session.target.massEraseProcedure, {
+			reject: /error|failed/i,
+			error: 'Erasing failed',
+			checkOutput: true
+		});
+	}
+
+	canFlashModule(module) {
+		return this.canWriteToFlash(module.storage);
+	}
+
+	canWriteToFlash(storage) {
+		return (storage === StorageType.INTERNAL_FLASH);
+	}
+
+	canReadFromFlash(storage) {
+		return this.canWriteToFlash(storage);
+	}
+
+	canEraseFlash() {
+		// The target is not known until the device is opened
+		const target = this._session.target;
+		return !target || !!target.massEraseProcedure;
+	}
+
+	get interfaceType() {
+		return InterfaceType.OPENOCD;
+	}
+
+	get adapterInfo() {
+		return this._info;
+	}
+
+	get serialNumber() {
+		return this._serial;
+	}
+
+	set log(log) {
+		super.log = log;
+		this._session.log = log;
+	}
+
+	get log() {
+		return super.log;
+	}
+
+	// Runs a command that accesses the flash memory. The Tcl RPC transport reports failed commands
+	// explicitly, so the output of a command only needs to be checked if it's received via telnet or
+	// if checkOutput is set
+	async _flashCommand(cmd, { expect = null, reject = null, error, checkOutput = false }) {
+		let resp = null;
+		try {
+			resp = await this._session.command(cmd, { timeout: FLASH_COMMAND_TIMEOUT });
+		} catch (err) {
+			throw new Error(error + ('\n' + err.message).trimRight());
+		}
+		if (checkOutput || this._session.transport !== OpenOcdTransport.TCL) {
+			if ((expect && !resp.match(expect)) || (reject && resp.match(reject))) {
+				throw new Error(error + ('\n' + resp).trimRight());
 			}
 		}
-		this._lastReset = Date.now();
+		return resp;
+	}
+
+	async _getDeviceId() {
+		const target = this._session.target;
+		const prefix = target.deviceIdPrefix || ''; // Hex-encoded
+		let match = null;
+		let resp;
+		if (target.deviceIdAddress) {
+			const addrStr = toUInt32Hex(target.deviceIdAddress);
+			const size = Math.floor((DEVICE_ID_SIZE - prefix.length) / 2);
+			resp = await this._session.command(`mdb ${addrStr} ${size}`);
+			const rx = new RegExp(`^${addrStr}:\\s((?:[0-9A-Za-z]{2}\\s?){${size}})$`);
+			match = rx.exec(resp);
+		} else if (target.deviceIdProcedure) {
+			resp = await this._session.command(target.deviceIdProcedure);
+			match = target.deviceIdRegex.exec(resp);
+			if (match && match.length > 1) {
+				// Fixup results a bit if regex got device id that consists of multiple parts
+				for (let i = 2; i < match.length; i++) {
+					match[1] += match[i];
+				}
+				match.length = 2;
+			}
+		}
+		if (!match || match.length !== 2) {
+			throw new Error('Unable to read device ID' + ('\n' + resp).trimRight());
+		}
+		const id = prefix + match[1].replace(/\s/g, '').toLowerCase();
+		return id;
 	}
 }
 
@@ -752,6 +941,8 @@ class OpenOcdFlashInterface extends FlashInterface {
 	constructor({ log }) {
 		super({ log });
 		this._ignoredAdapters = [];
+		this._sessions = new Map(); // OpenOCD sessions by adapter serial number
+		this._ports = new PortAllocator();
 	}
 
 	async init(args) {
@@ -760,23 +951,35 @@ class OpenOcdFlashInterface extends FlashInterface {
 		} catch (_err) {
 			throw new Error('OpenOCD is not installed');
 		}
-		if (args && args['openocd-ignore-adapter']) {
-			if (Array.isArray(args['openocd-ignore-adapter'])) {
-				this._ignoredAdapters = args['openocd-ignore-adapter'];
-			} else {
-				this._ignoredAdapters = [args['openocd-ignore-adapter']];
-			}
-		}
-		if (process.env.OPENOCD_IGNORE_ADAPTER) {
-			this._ignoredAdapters = [...this._ignoredAdapters, ...process.env.OPENOCD_IGNORE_ADAPTER.split(':')];
+		this._ignoredAdapters = ignoredAdapterSerials(args);
+		if (args && args['openocd-port-range']) {
+			this._ports = new PortAllocator({ range: parsePortRange(args['openocd-port-range']) });
 		}
 	}
 
 	async shutdown() {
+		const sessions = Array.from(this._sessions.values());
+		this._sessions.clear();
+		for (const s of sessions) {
+			try {
+				await s.close();
+			} catch (err) {
+				this._log.warn(err.message);
+			}
+		}
 	}
 
-	async listDevices() {
-		const adapters = await this._listAdapters();
+	async listDevices({ ignoredUsbPorts = [] } = {}) {
+		const adapters = await listAdapters({ ignoredSerials: this._ignoredAdapters, ignoredUsbPorts, log: this._log });
+		// Stop the sessions of the adapters that are no longer connected. A session that has an open
+		// device is stopped once the device is closed and the adapter is still missing
+		for (const [serial, session] of this._sessions) {
+			if (!adapters.some(ad => ad.serial === serial) && !ignoredUsbPorts.includes(session.usbPort) &&
+					!session.isDeviceOpen && !session.isCommandRunning) {
+				this._sessions.delete(serial);
+				await session.close();
+			}
+		}
 		if (!adapters.length) {
 			this._log.verbose('No debug adapters found');
 			return [];
@@ -785,12 +988,21 @@ class OpenOcdFlashInterface extends FlashInterface {
 		for (const ad of adapters) {
 			this._log.verbose(`${ad.index}. ${ad.info.displayName}; s/n: ${ad.serial}`);
 		}
-		return adapters.map(ad => new OpenOcdDevice({
-			info: ad.info,
-			serial: ad.serial,
-			port: DEFAULT_TELNET_PORT + ad.index - 1,
-			log: this._log.addTag(`[Adapter ${ad.index}]`)
-		}));
+		return adapters.map(ad => {
+			const log = this._log.addTag(`[Adapter ${ad.index}]`);
+			let session = this._sessions.get(ad.serial);
+			if (!session) {
+				session = new OpenOcdSession({ info: ad.info, serial: ad.serial, usbPort: ad.usbPort, ports: this._ports, log });
+				this._sessions.set(ad.serial, session);
+			}
+			return new OpenOcdDevice({
+				info: ad.info,
+				serial: ad.serial,
+				session,
+				usbPort: ad.usbPort,
+				log
+			});
+		});
 	}
 
 	async openDeviceById(id, options) {
@@ -809,74 +1021,11 @@ class OpenOcdFlashInterface extends FlashInterface {
 		}
 		throw new Error('Device not found');
 	}
-
-	async _listAdapters() {
-		const adapters = [];
-		const usbDevs = usb.getDeviceList();
-		let lastIndex = 0;
-		for (const usbDev of usbDevs) {
-			const usbDesc = usbDev.deviceDescriptor;
-			const info = ADAPTER_INFO_BY_USB_ID.get(makeUsbDeviceId(usbDesc.idVendor, usbDesc.idProduct));
-			if (info) {
-				try {
-					const serial = await this._getAdapterSerial(usbDev);
-					if (this._ignoredAdapters.includes(serial)) {
-						this._log.verbose(`Ignoring adapter with serial ${serial} as requested`);
-						continue;
-					}
-					adapters.push({ info, serial, index: ++lastIndex });
-				} catch (err) {
-					this._log.warn(err.message);
-				}
-			}
-		}
-		return adapters;
-	}
-
-	async _getAdapterSerial(usbDev) {
-		return new Promise((resolve, reject) => {
-			try {
-				usbDev.open();
-			} catch (err) {
-				return reject(new Error(`Unable to open USB device: ${err.message}`));
-			}
-			const descIndex = usbDev.deviceDescriptor.iSerialNumber;
-			usbDev.controlTransfer(
-				usb.LIBUSB_ENDPOINT_IN, // bmRequestType
-				usb.LIBUSB_REQUEST_GET_DESCRIPTOR, // bRequest
-				(usb.LIBUSB_DT_STRING << 8) | descIndex, // wValue
-				0x0409, // wIndex (0x0409: English - United States)
-				255, // wLength
-				(err, buf) => {
-					try {
-						usbDev.close();
-					} catch (err) {
-						this._log.warn(err.message);
-					}
-					if (err) {
-						return reject(err);
-					}
-					// OpenOCD uses libusb_get_string_descriptor_ascii() which replaces non-ASCII characters with '?'
-					let serial = '';
-					for (let i = 2; i < buf.length; i += 2) { // Skip bLength and bDescriptorType fields
-						const c = buf[i];
-						if (c >= 0x80 || buf[i + 1]) { // Non-ASCII character
-							serial += '?';
-						} else if (c <= 0x20 || c === 0x7f) { // SPACE, DEL or a control character
-							serial += '\\x' + Number(c).toString(16).padStart(2, '0');
-						} else {
-							serial += String.fromCharCode(c);
-						}
-					}
-					resolve(serial);
-				}
-			);
-		});
-	}
 }
 
 module.exports = {
 	AdapterType,
 	OpenOcdFlashInterface,
+	OpenOcdSession,
 	OpenOcdDevice
 };
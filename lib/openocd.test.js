@@ -0,0 +1,296 @@
+'use strict';
+const { OpenOcdFlashInterface, OpenOcdSession, OpenOcdDevice } = require('./openocd');
+const { AdapterType, ADAPTER_INFO } = require('./adapter');
+const { PortAllocator } = require('./port');
+const { Logger, LogLevel } = require('./log');
+
+const { expect } = require('chai');
+const tmp = require('tmp');
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+// Fake OpenOCD that listens on the telnet and Tcl RPC ports passed via the command line and runs the
+// commands sent by TclRpcClient.command(). The target reports the JEDEC manufacturer passed via
+// FAKE_OPENOCD_DESIGNER, the memory contents passed via FAKE_OPENOCD_MEMORY and the state stored in
+// the file named by FAKE_OPENOCD_STATE. The invocations are logged to FAKE_OPENOCD_LOG and the commands are logged to
+// FAKE_OPENOCD_CMD_LOG. The command stored in the file named by FAKE_OPENOCD_FAIL_ONCE fails the
+// first time it's run. OpenOCD fails to start if the telnet port is already in use
+const FAKE_OPENOCD = `#!/usr/bin/env node
+'use strict';
+const fs = require('fs');
+const net = require('net');
+const env = process.env;
+const args = process.argv.slice(2);
+fs.appendFileSync(env.FAKE_OPENOCD_LOG, JSON.stringify(args) + '\\n');
+const config = args.filter((arg, i) => args[i - 1] === '-c').join('; ');
+const telnetPort = Number(/telnet_port (\\d+)/.exec(config)[1]);
+const tclPort = Number(/tcl_port (\\d+)/.exec(config)[1]);
+const memory = JSON.parse(env.FAKE_OPENOCD_MEMORY);
+function failOnce(cmd) {
+	const file = env.FAKE_OPENOCD_FAIL_ONCE;
+	if (file && fs.existsSync(file) && fs.readFileSync(file, 'utf8') === cmd.split(' ')[0]) {
+		fs.unlinkSync(file);
+		return true;
+	}
+	return false;
+}
+function run(cmd) {
+	fs.appendFileSync(env.FAKE_OPENOCD_CMD_LOG, cmd + '\\n');
+	const [name, ...cmdArgs] = cmd.split(' ');
+	if (failOnce(cmd)) {
+		throw new Error(name + ' failed');
+	}
+	switch (name) {
+		case 'version':
+			return 'Open On-Chip Debugger 0.12.0';
+		case 'dap':
+			return (cmdArgs[1] === '0') ? 'Designer is 0x244, ' + env.FAKE_OPENOCD_DESIGNER : 'No AP found at this ap';
+		case 'mdb':
+			return cmdArgs[0] + ': ' + memory[cmdArgs[0]];
+		default:
+			return '';
+	}
+}
+function evalScript(script) {
+	if (script === 'shutdown') {
+		process.exit(0);
+	}
+	if (script === '[target current] curstate') {
+		return fs.readFileSync(env.FAKE_OPENOCD_STATE, 'utf8');
+	}
+	const cmd = /capture "((?:[^"\\\\]|\\\\.)*)"/.exec(script)[1].replace(/\\\\(.)/g, '$1');
+	try {
+		return '0\\n' + run(cmd);
+	} catch (err) {
+		return '1\\n' + err.message;
+	}
+}
+const tcl = net.createServer(socket => {
+	let data = '';
+	socket.setEncoding('utf8');
+	socket.on('data', d => {
+		data += d;
+		let pos = data.indexOf('\\x1a');
+		while (pos >= 0) {
+			const script = data.slice(0, pos);
+			data = data.slice(pos + 1);
+			socket.write(evalScript(script) + '\\x1a');
+			pos = data.indexOf('\\x1a');
+		}
+	});
+});
+const telnet = net.createServer(() => {});
+telnet.once('error', err => {
+	console.error("Error: couldn't bind telnet to socket on port " + telnetPort + ': ' + err.message);
+	process.exit(1);
+});
+telnet.listen(telnetPort, 'localhost', () => {
+	tcl.listen(tclPort, 'localhost', () => {
+		console.log('Info : Listening on port ' + tclPort + ' for tcl connections');
+		console.log('Info : Listening on port ' + telnetPort + ' for telnet connections');
+	});
+});
+`;
+
+describe('OpenOCD flash interface (openocd.js)', () => {
+	if (process.platform === 'win32') {
+		return; // The fake OpenOCD is a Node.js script
+	}
+
+	const ADAPTER_SERIAL = '0240000034544e45';
+
+	const log = new Logger({ level: LogLevel.ERROR });
+
+	let tempDir = null;
+	let logFile = null;
+	let cmdLogFile = null;
+	let stateFile = null;
+	let origEnv = null;
+	let sessions = null;
+
+	function commands() {
+		return fs.readFileSync(cmdLogFile, 'utf8').split('\n').filter(line => !!line);
+	}
+
+	function invocations() {
+		return fs.readFileSync(logFile, 'utf8').split('\n').filter(line => !!line).map(line => JSON.parse(line));
+	}
+
+	// Returns the number of times the target platform was detected
+	function detectionCount() {
+		return invocations().filter(args => args.some(arg => arg.includes('dap create'))).length;
+	}
+
+	function makeSession({ ports = new PortAllocator() } = {}) {
+		const session = new OpenOcdSession({
+			info: ADAPTER_INFO.find(info => info.type === AdapterType.DAPLINK),
+			serial: ADAPTER_SERIAL,
+			ports,
+			minRestartInterval: 0,
+			maxRestartInterval: 0,
+			minResetInterval: 0,
+			log
+		});
+		sessions.push(session);
+		return session;
+	}
+
+	function makeDevice(session) {
+		return new OpenOcdDevice({ info: session._info, serial: ADAPTER_SERIAL, session, log });
+	}
+
+	beforeEach(() => {
+		tempDir = tmp.dirSync({ unsafeCleanup: true });
+		fs.writeFileSync(path.join(tempDir.name, 'openocd'), FAKE_OPENOCD, { mode: 0o755 });
+		logFile = path.join(tempDir.name, 'log.txt');
+		fs.writeFileSync(logFile, '');
+		cmdLogFile = path.join(tempDir.name, 'commands.txt');
+		fs.writeFileSync(cmdLogFile, '');
+		stateFile = path.join(tempDir.name, 'state.txt');
+		fs.writeFileSync(stateFile, 'halted');
+		origEnv = process.env;
+		process.env = {
+			...origEnv,
+			PATH: tempDir.name + path.delimiter + origEnv.PATH,
+			FAKE_OPENOCD_LOG: logFile,
+			FAKE_OPENOCD_CMD_LOG: cmdLogFile,
+			FAKE_OPENOCD_STATE: stateFile,
+			FAKE_OPENOCD_DESIGNER: 'Nordic VLSI ASA',
+			FAKE_OPENOCD_MEMORY: JSON.stringify({ '0x10000060': '12 34 56 78 9a bc de f0' })
+		};
+		sessions = [];
+	});
+
+	afterEach(async () => {
+		for (const session of sessions) {
+			await session.close();
+		}
+		process.env = origEnv;
+		tempDir.removeCallback();
+	});
+
+	describe('OpenOcdDevice', () => {
+		it('keeps OpenOCD running while the device is opened and closed', async () => {
+			const session = makeSession();
+			const dev = makeDevice(session);
+			await dev.open();
+			expect(dev.id).to.equal('e00fce68123456789abcdef0');
+			await dev.close();
+			expect(session.isRunning).to.be.true;
+			await dev.open();
+			await dev.close();
+			// OpenOCD is started once for detecting the target platform and once for flashing
+			expect(invocations()).to.have.lengthOf(2);
+			expect(invocations()[1]).to.include('target/nrf52.cfg');
+		});
+
+		it('restarts OpenOCD and detects the target platform again if the device could not be opened', async () => {
+			const failFile = path.join(tempDir.name, 'fail.txt');
+			fs.writeFileSync(failFile, 'mdb');
+			process.env.FAKE_OPENOCD_FAIL_ONCE = failFile;
+			const session = makeSession();
+			const dev = makeDevice(session);
+			let error = null;
+			try {
+				await dev.open();
+			} catch (err) {
+				error = err;
+			}
+			expect(error).to.be.an('error').with.property('message', 'mdb failed');
+			expect(session.isRunning).to.be.false;
+			expect(session.target).to.be.null;
+			await dev.open();
+			expect(dev.id).to.equal('e00fce68123456789abcdef0');
+			expect(invocations()).to.have.lengthOf(4);
+			expect(detectionCount()).to.equal(2);
+		});
+
+		it('halts the target with a soft reset if it is not halted after a reset', async () => {
+			const dev = makeDevice(makeSession());
+			await dev.open();
+			await dev.prepareToFlash();
+			expect(commands().slice(-1)).to.deep.equal(['reset init']);
+			fs.writeFileSync(stateFile, 'running');
+			await dev.prepareToFlash();
+			expect(commands().slice(-2)).to.deep.equal(['reset init', 'soft_reset_halt']);
+		});
+	});
+
+	describe('OpenOcdSession', () => {
+		let server = null;
+
+		// Returns a port allocator that hands out the port of a running server as the telnet port for
+		// the first `count` allocations
+		async function busyPortAllocator(count) {
+			server = net.createServer();
+			await new Promise(resolve => server.listen(0, 'localhost', resolve));
+			const busyPort = server.address().port;
+			const ports = new PortAllocator();
+			const allocate = ports.allocate.bind(ports);
+			ports.allocate = async (n) => {
+				const allocated = await allocate(n);
+				if (count > 0) {
+					--count;
+					ports.release(allocated.slice(0, 1));
+					allocated[0] = busyPort;
+				}
+				return allocated;
+			};
+			return { ports, busyPort };
+		}
+
+		function telnetPortOf(args) {
+			return Number(/telnet_port (\d+)/.exec(args.join(' '))[1]);
+		}
+
+		afterEach(async () => {
+			if (server) {
+				await new Promise(resolve => server.close(resolve));
+				server = null;
+			}
+		});
+
+		it('retries with different ports if a port is already in use', async () => {
+			const { ports, busyPort } = await busyPortAllocator(2);
+			const session = makeSession({ ports });
+			await session.start();
+			expect(session.isRunning).to.be.true;
+			const telnetPorts = invocations().map(telnetPortOf);
+			expect(telnetPorts.slice(0, 2)).to.deep.equal([busyPort, busyPort]);
+			expect(telnetPorts.slice(2)).to.not.include(busyPort);
+		});
+
+		it('gives up after a number of attempts to find free ports', async () => {
+			const { ports, busyPort } = await busyPortAllocator(Infinity);
+			const session = makeSession({ ports });
+			let error = null;
+			try {
+				await session.start();
+			} catch (err) {
+				error = err;
+			}
+			expect(error).to.be.an('error').with.property('message').that.matches(/couldn't bind telnet/);
+			// The target platform is detected with and without asserted SRST, 5 attempts each
+			const telnetPorts = invocations().map(telnetPortOf);
+			expect(telnetPorts).to.deep.equal(new Array(10).fill(busyPort));
+		});
+	});
+
+	describe('OpenOcdFlashInterface', () => {
+		it('stops the session of a disconnected adapter once its device is closed', async () => {
+			const flashIf = new OpenOcdFlashInterface({ log });
+			const session = makeSession({ ports: flashIf._ports });
+			flashIf._sessions.set(ADAPTER_SERIAL, session);
+			const dev = makeDevice(session);
+			await dev.open();
+			await flashIf.listDevices(); // The adapter is not connected to the host
+			expect(session.isRunning).to.be.true;
+			await dev.close();
+			await flashIf.listDevices();
+			expect(session.isRunning).to.be.false;
+			expect(flashIf._sessions.size).to.equal(0);
+		});
+	});
+});
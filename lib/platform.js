@@ -7,7 +7,9 @@ const ModuleType = {
 	BOOTLOADER: 'bootloader',
 	RADIO_STACK: 'radio_stack',
 	NCP_FIRMWARE: 'ncp_firmware',
-	MONO_FIRMWARE: 'mono_firmware'
+	MONO_FIRMWARE: 'mono_firmware',
+	RESOURCE: 'resource',
+	SETTINGS: 'settings'
 };
 
 const StorageType = {
@@ -16,6 +18,14 @@ const StorageType = {
 	EXTERNAL_MCU: 'external_mcu'
 };
 
+// Address ranges of the internal flash memory by MCU. Used to locate the modules that are not
+// described in device-constants
+const INTERNAL_FLASH_RANGES = {
+	stm32f2xx: { start: 0x08000000, end: 0x08100000 },
+	nrf52840: { start: 0x00000000, end: 0x00100000 },
+	rtl872x: { start: 0x08000000, end: 0x08800000 }
+};
+
 function moduleTypeFromString(str) {
 	switch (str) {
 		case 'bootloader':
@@ -75,14 +85,27 @@ class Platform {
 		}
 	}
 
-	storageForFirmwareModule(type, index) {
+	// The address of the module is only used for resource and settings modules, which reside at the
+	// address specified in their header
+	storageForFirmwareModule(type, index, { address = null } = {}) {
+		if (type === ModuleType.RESOURCE || type === ModuleType.SETTINGS) {
+			const storage = (address !== null) ? this.storageForAddress(address) : null;
+			if (!storage) {
+				return null;
+			}
+			return {
+				type: storage,
+				encrypted: false
+			};
+		}
 		let m = this._fwModules.filter((m) => m.type === type);
 		if (!m.length) {
 			return null;
 		}
 		if (m.length === 1) {
 			m = m[0];
-			if (m.index !== undefined && m.index !== index) {
+			// There is only one monolithic firmware per platform, its module index may vary between builds
+			if (m.index !== undefined && m.index !== index && type !== ModuleType.MONO_FIRMWARE) {
 				return null;
 			}
 		} else {
@@ -97,6 +120,14 @@ class Platform {
 		};
 	}
 
+	storageForAddress(address) {
+		const range = INTERNAL_FLASH_RANGES[this._baseMcu];
+		if (!range || address < range.start || address >= range.end) {
+			return null;
+		}
+		return StorageType.INTERNAL_FLASH;
+	}
+
 	dfuAltSettingForStorage(type) {
 		const s = this._dfuStorage.find((s) => s.type === type);
 		if (!s) {
@@ -128,6 +159,12 @@ class Platform {
 	get hasNcpFirmware() {
 		return this._fwModules.some((m) => m.type === ModuleType.NCP_FIRMWARE);
 	}
+
+	// Modules that are stored encrypted in the internal flash memory
+	get encryptedModules() {
+		return this._fwModules.filter((m) => m.encrypted && m.storage === StorageType.INTERNAL_FLASH)
+			.map((m) => ({ type: m.type, index: m.index }));
+	}
 }
 
 const platforms = Object.values(deviceConstants).filter(p => p.generation >= 2).map(p => new Platform(p));
@@ -110,6 +110,18 @@ describe('Platform', () => {
 			});
 			expect(p.storageForFirmwareModule(ModuleType.SYSTEM_PART, 3)).to.be.null;
 		});
+
+		it('ignores the index of a monolithic firmware module', () => {
+			const p = platformForName('photon');
+			expect(p.storageForFirmwareModule(ModuleType.MONO_FIRMWARE, 0)).to.deep.equal({ type: StorageType.INTERNAL_FLASH, encrypted: false });
+		});
+
+		it('determines the storage of resource and settings modules by their address', () => {
+			const p = platformForName('boron');
+			expect(p.storageForFirmwareModule(ModuleType.RESOURCE, 0, { address: 0xd4000 })).to.deep.equal({ type: StorageType.INTERNAL_FLASH, encrypted: false });
+			expect(p.storageForFirmwareModule(ModuleType.SETTINGS, 0, { address: 0x12000000 })).to.be.null;
+			expect(p.storageForFirmwareModule(ModuleType.SETTINGS, 0)).to.be.null;
+		});
 	});
 
 	describe('dfuAltSettingForStorage', () => {
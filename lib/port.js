@@ -0,0 +1,109 @@
+'use strict';
+const net = require('net');
+
+const MIN_PORT = 1;
+const MAX_PORT = 65535;
+
+const MAX_EPHEMERAL_PORT_ATTEMPTS = 100;
+
+// Checks if a TCP port can be listened on at the loopback interface
+async function isPortAvailable(port) {
+	return new Promise(resolve => {
+		const server = net.createServer();
+		server.once('error', () => resolve(false));
+		server.listen(port, '127.0.0.1', () => {
+			server.close(() => resolve(true));
+		});
+	});
+}
+
+// Returns a port that is currently available as assigned by the OS
+async function getEphemeralPort() {
+	return new Promise((resolve, reject) => {
+		const server = net.createServer();
+		server.once('error', reject);
+		server.listen(0, '127.0.0.1', () => {
+			const { port } = server.address();
+			server.close(() => resolve(port));
+		});
+	});
+}
+
+// Parses a port range of the form <min>-<max>
+function parsePortRange(str) {
+	const m = /^(\d+)-(\d+)$/.exec(String(str).trim());
+	if (!m) {
+		throw new RangeError(`Invalid port range: ${str}`);
+	}
+	const min = Number.parseInt(m[1]);
+	const max = Number.parseInt(m[2]);
+	if (min < MIN_PORT || max > MAX_PORT || min > max) {
+		throw new RangeError(`Invalid port range: ${str}`);
+	}
+	return { min, max };
+}
+
+// Allocates TCP ports for local servers. The ports are picked from a fixed range, or assigned by the
+// OS if no range is specified. The allocated ports are not handed out again until they're released.
+// Another process can still take a port before it's used, so the callers need to be prepared to
+// retry with different ports
+class PortAllocator {
+	constructor({ range = null } = {}) {
+		this._range = range;
+		this._reserved = new Set(); // Allocated ports
+	}
+
+	async allocate(count = 1) {
+		const ports = [];
+		try {
+			while (ports.length < count) {
+				ports.push(await this._allocatePort());
+			}
+		} catch (err) {
+			this.release(ports);
+			throw err;
+		}
+		return ports;
+	}
+
+	release(ports) {
+		for (const port of ports) {
+			this._reserved.delete(port);
+		}
+	}
+
+	get range() {
+		return this._range;
+	}
+
+	async _allocatePort() {
+		if (this._range) {
+			for (let port = this._range.min; port <= this._range.max; ++port) {
+				if (this._reserved.has(port)) {
+					continue;
+				}
+				// Reserve the port before checking it so that concurrent calls do not pick the same port
+				this._reserved.add(port);
+				if (await isPortAvailable(port)) {
+					return port;
+				}
+				this._reserved.delete(port);
+			}
+			throw new Error(`No free ports in range ${this._range.min}-${this._range.max}`);
+		}
+		for (let i = 0; i < MAX_EPHEMERAL_PORT_ATTEMPTS; ++i) {
+			const port = await getEphemeralPort();
+			if (!this._reserved.has(port)) {
+				this._reserved.add(port);
+				return port;
+			}
+		}
+		throw new Error('Unable to allocate a port');
+	}
+}
+
+module.exports = {
+	PortAllocator,
+	parsePortRange,
+	isPortAvailable
+};
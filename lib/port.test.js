@@ -0,0 +1,97 @@
+'use strict';
+const { PortAllocator, parsePortRange, isPortAvailable } = require('./port');
+
+const { expect } = require('chai');
+
+const net = require('net');
+
+describe('Port allocation (port.js)', () => {
+	describe('parsePortRange()', () => {
+		it('parses a port range', () => {
+			expect(parsePortRange('7000-7099')).to.deep.equal({ min: 7000, max: 7099 });
+			expect(parsePortRange('7000-7000')).to.deep.equal({ min: 7000, max: 7000 });
+		});
+
+		it('fails if the port range is invalid', () => {
+			for (const range of ['7000', '7000-', '7099-7000', '0-10', '65000-70000', 'a-b']) {
+				expect(() => parsePortRange(range)).to.throw(RangeError, `Invalid port range: ${range}`);
+			}
+		});
+	});
+
+	describe('PortAllocator', () => {
+		let servers = null;
+
+		async function listen(port = 0) {
+			const server = net.createServer();
+			await new Promise((resolve, reject) => {
+				server.once('error', reject);
+				server.listen(port, '127.0.0.1', resolve);
+			});
+			servers.push(server);
+			return server.address().port;
+		}
+
+		async function close(port) {
+			const server = servers.find(s => s.address().port === port);
+			servers = servers.filter(s => s !== server);
+			await new Promise(resolve => server.close(resolve));
+		}
+
+		// Listens on 3 consecutive ports and returns the first one
+		async function listenOnPortRange() {
+			for (;;) {
+				const port = await listen();
+				try {
+					await listen(port + 1);
+					await listen(port + 2);
+					return port;
+				} catch (_err) {
+					// Try another range
+				}
+			}
+		}
+
+		beforeEach(() => {
+			servers = [];
+		});
+
+		afterEach(async () => {
+			for (const server of servers) {
+				await new Promise(resolve => server.close(resolve));
+			}
+		});
+
+		it('allocates distinct ports assigned by the OS', async () => {
+			const ports = new PortAllocator();
+			const [a, b] = await ports.allocate(2);
+			const [c] = await ports.allocate();
+			expect(new Set([a, b, c]).size).to.equal(3);
+			expect(await isPortAvailable(a)).to.be.true;
+		});
+
+		it('allocates ports from a range skipping the ones in use', async () => {
+			const min = await listenOnPortRange();
+			await close(min);
+			await close(min + 2);
+			const ports = new PortAllocator({ range: { min, max: min + 2 } });
+			expect(await ports.allocate(2)).to.deep.equal([min, min + 2]);
+		});
+
+		it('does not allocate a port again until it is released', async () => {
+			const port = await listen();
+			await close(port);
+			const ports = new PortAllocator({ range: { min: port, max: port } });
+			expect(await ports.allocate()).to.deep.equal([port]);
+			let error = null;
+			try {
+				await ports.allocate();
+			} catch (err) {
+				error = err;
+			}
+			expect(error).to.be.an('error').with.property('message', `No free ports in range ${port}-${port}`);
+			ports.release([port]);
+			expect(await ports.allocate()).to.deep.equal([port]);
+		});
+	});
+});
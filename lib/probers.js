@@ -0,0 +1,310 @@
+'use strict';
+const { Device, FlashInterface, InterfaceType } = require('./device');
+const { ADAPTER_INFO, adapterInfoForUsbId, findAdapterUsbPort, getMcuInfo, ignoredAdapterSerials } = require('./adapter');
+const { StorageType } = require('./platform');
+const { execCommand, formatCommand, toUInt32Hex } = require('./util');
+
+const which = require('which');
+
+const fs = require('fs');
+
+const PROBE_RS = 'probe-rs';
+
+const PROBE_SPEED_KHZ = 4000;
+
+const DEFAULT_COMMAND_TIMEOUT = 30000;
+const FLASH_COMMAND_TIMEOUT = 2 * 60 * 1000;
+
+const DEVICE_ID_SIZE = 24; // Hex-encoded
+
+// All MCUs supported by the known adapters
+const ALL_PLATFORM_MCU = Array.from(new Set(ADAPTER_INFO.map(info => info.platformMcu).flat()));
+
+// Parses the output of `probe-rs list`. Recent versions of probe-rs print the probes as follows:
+//   [0]: DAPLink CMSIS-DAP -- 0d28:0204:0240000034544e45 (CMSIS-DAP)
+// Older versions use this format:
+//   [0]: DAPLink CMSIS-DAP (VID: 0d28, PID: 0204, Serial: 0240000034544e45, CmsisDap)
+function parseProbeList(output) {
+	const probes = [];
+	for (const line of output.split(/\r?\n/)) {
+		let m = /^\[\d+\]:\s*(.+?)\s+--\s+([0-9a-f]{4}):([0-9a-f]{4})(?::(\S+))?(?:\s+\(.*\))?$/i.exec(line.trim());
+		if (!m) {
+			m = /^\[\d+\]:\s*(.+?)\s+\(VID:\s*([0-9a-f]{4}),\s*PID:\s*([0-9a-f]{4}),\s*(?:Serial:\s*([^,]+),\s*)?.*\)$/i.exec(line.trim());
+		}
+		if (m) {
+			probes.push({
+				name: m[1],
+				vendorId: Number.parseInt(m[2], 16),
+				productId: Number.parseInt(m[3], 16),
+				serial: m[4] || null
+			});
+		}
+	}
+	return probes;
+}
+
+// Device connected via a debug probe supported by probe-rs
+class ProbeRsDevice extends Device {
+	constructor({ probe, info, usbPort = null, log }) {
+		super({ usbPort, log });
+		this._probe = probe;
+		this._info = info; // Adapter info, can be null for probes not listed in ADAPTER_INFO
+		this._target = null; // Target MCU info
+		this._open = false;
+	}
+
+	async open(/* options */) {
+		if (this._open) {
+			throw new Error('Device is already open');
+		}
+		if (!this._target) {
+			this._log.verbose('Detecting target platform');
+			const target = await this._detectTarget();
+			if (!target.probeRsChip) {
+				throw new Error(`Target platform is not supported by probe-rs: ${target.baseMcu}`);
+			}
+			this._log.verbose(`Target platform: ${target.baseMcu}`);
+			this._target = target;
+		}
+		if (!this.id) {
+			this.id = await this._getDeviceId();
+			this._log.verbose('Device ID:', this.id);
+		}
+		this._open = true;
+	}
+
+	async close() {
+		this._open = false;
+	}
+
+	async reset() {
+		this.emit('reset');
+		await this._runProbeRs('reset', []);
+	}
+
+	async flashModule(module) {
+		if (!this.canFlashModule(module)) {
+			throw new Error('Unsupported module');
+		}
+		await this.writeToFlash(module.file, module.storage, module.address);
+	}
+
+	async writeToFlash(file, storage, address) {
+		if (!this.canWriteToFlash(storage)) {
+			throw new Error('Unsupported storage');
+		}
+		const total = fs.statSync(file).size;
+		this.emit('progress', { bytes: 0, total });
+		try {
+			await this._runProbeRs('download', [
+				'--binary-format', 'bin',
+				'--base-address', toUInt32Hex(address),
+				'--disable-progressbars',
+				file
+			], { timeout: FLASH_COMMAND_TIMEOUT });
+		} catch (err) {
+			throw new Error('Programming failed\n' + err.message);
+		}
+		this.emit('progress', { bytes: total, total });
+	}
+
+	async readFromFlash(file, storage, address, size) {
+		if (!this.canReadFromFlash(storage)) {
+			throw new Error('Unsupported storage');
+		}
+		let data = null;
+		try {
+			data = await this._readMemory(address, size, { timeout: FLASH_COMMAND_TIMEOUT });
+		} catch (err) {
+			throw new Error('Reading failed\n' + err.message);
+		}
+		fs.writeFileSync(file, data);
+	}
+
+	async eraseFlash() {
+		try {
+			await this._runProbeRs('erase', ['--allow-erase-all'], { timeout: FLASH_COMMAND_TIMEOUT });
+		} catch (err) {
+			throw new Error('Erasing failed\n' + err.message);
+		}
+	}
+
+	canFlashModule(module) {
+		return this.canWriteToFlash(module.storage);
+	}
+
+	canWriteToFlash(storage) {
+		return (storage === StorageType.INTERNAL_FLASH);
+	}
+
+	canReadFromFlash(storage) {
+		return this.canWriteToFlash(storage);
+	}
+
+	canEraseFlash() {
+		return true;
+	}
+
+	get interfaceType() {
+		return InterfaceType.PROBE_RS;
+	}
+
+	get adapterInfo() {
+		return this._info;
+	}
+
+	get serialNumber() {
+		return this._probe.serial;
+	}
+
+	async _detectTarget() {
+		const platformMcu = this._info ? this._info.platformMcu : ALL_PLATFORM_MCU;
+		if (platformMcu.length === 1) {
+			return getMcuInfo(platformMcu[0]);
+		}
+		let output = null;
+		try {
+			output = await this._runProbeRs('info', [], { chip: null });
+		} catch (_err) {
+			this._log.verbose('Retrying with asserted SRST');
+			output = await this._runProbeRs('info', ['--connect-under-reset'], { chip: null });
+		}
+		// The designer of the chip is reported as a JEDEC manufacturer string
+		for (const mcu of platformMcu) {
+			const t = getMcuInfo(mcu);
+			if (output.includes(t.mcuManufacturer)) {
+				return t;
+			}
+		}
+		throw new Error('Unknown target platform' + ('\n' + output).trimRight());
+	}
+
+	async _getDeviceId() {
+		const target = this._target;
+		if (!target.deviceIdAddress) {
+			throw new Error(`Reading the device ID is not supported for this target: ${target.baseMcu}`);
+		}
+		const prefix = target.deviceIdPrefix || ''; // Hex-encoded
+		const size = Math.floor((DEVICE_ID_SIZE - prefix.length) / 2);
+		const data = await this._readMemory(target.deviceIdAddress, size);
+		return prefix + data.toString('hex');
+	}
+
+	async _readMemory(address, size, { timeout } = {}) {
+		// The words are printed as hex numbers separated by spaces
+		const output = await this._runProbeRs('read', ['b8', toUInt32Hex(address), size.toString()], { timeout });
+		const words = output.trim().split(/\s+/).filter(w => !!w).map(w => w.replace(/^0x/i, ''));
+		if (words.length !== size || words.some(w => !/^[0-9a-f]{1,2}$/i.test(w))) {
+			throw new Error('Unexpected output of probe-rs' + ('\n' + output).trimRight());
+		}
+		return Buffer.from(words.map(w => Number.parseInt(w, 16)));
+	}
+
+	// Runs a probe-rs command and returns its standard output
+	async _runProbeRs(cmd, args, { chip = undefined, timeout = DEFAULT_COMMAND_TIMEOUT } = {}) {
+		if (chip === undefined) {
+			chip = this._target.probeRsChip;
+		}
+		const probeArgs = [
+			'--probe', this._probeSelector(),
+			'--protocol', 'swd',
+			'--speed', PROBE_SPEED_KHZ.toString()
+		];
+		if (chip) {
+			probeArgs.push('--chip', chip);
+		}
+		if (this._target && this._target.assertSrstOnConnect && !args.includes('--connect-under-reset')) {
+			probeArgs.push('--connect-under-reset');
+		}
+		args = [cmd, ...probeArgs, ...args];
+		this._log.debug('$', formatCommand(PROBE_RS, args));
+		const r = await execCommand(PROBE_RS, args, { timeout });
+		if (r.exitCode !== 0) {
+			throw new Error(`${PROBE_RS} exited with code ${r.exitCode}` + ('\n' + r.stderr).trimRight());
+		}
+		return r.stdout;
+	}
+
+	_probeSelector() {
+		const p = this._probe;
+		let s = [p.vendorId, p.productId].map(id => id.toString(16).padStart(4, '0')).join(':');
+		if (p.serial) {
+			s += ':' + p.serial;
+		}
+		return s;
+	}
+}
+
+class ProbeRsFlashInterface extends FlashInterface {
+	constructor({ log }) {
+		super({ log });
+		this._ignoredAdapters = [];
+	}
+
+	async init(args) {
+		try {
+			await which(PROBE_RS);
+		} catch (_err) {
+			throw new Error('probe-rs is not installed');
+		}
+		this._ignoredAdapters = ignoredAdapterSerials(args);
+	}
+
+	async listDevices({ ignoredUsbPorts = [] } = {}) {
+		this._log.debug('$', formatCommand(PROBE_RS, ['list']));
+		const r = await execCommand(PROBE_RS, ['list'], { timeout: DEFAULT_COMMAND_TIMEOUT });
+		if (r.exitCode !== 0) {
+			throw new Error(`${PROBE_RS} exited with code ${r.exitCode}` + ('\n' + r.stderr).trimRight());
+		}
+		const probes = parseProbeList(r.stdout);
+		if (!probes.length) {
+			this._log.verbose('No debug probes found');
+			return [];
+		}
+		this._log.verbose('Detected debug probes:');
+		for (let i = 0; i < probes.length; ++i) {
+			this._log.verbose(`${i + 1}. ${probes[i].name}; s/n: ${probes[i].serial || 'unknown'}`);
+		}
+		const devs = [];
+		for (let i = 0; i < probes.length; ++i) {
+			const probe = probes[i];
+			if (probe.serial && this._ignoredAdapters.includes(probe.serial)) {
+				this._log.verbose(`Ignoring adapter with serial ${probe.serial} as requested`);
+				continue;
+			}
+			const usbPort = await findAdapterUsbPort({ ...probe, ignoredUsbPorts, log: this._log });
+			if (usbPort && ignoredUsbPorts.includes(usbPort)) {
+				continue;
+			}
+			devs.push(new ProbeRsDevice({
+				probe,
+				info: adapterInfoForUsbId(probe.vendorId, probe.productId),
+				usbPort,
+				log: this._log.addTag(`[Adapter ${i + 1}]`)
+			}));
+		}
+		return devs;
+	}
+
+	async openDeviceById(id, options) {
+		const devs = await this.listDevices();
+		for (const dev of devs) {
+			try {
+				await dev.open(options);
+			} catch (err) {
+				this._log.warn(err.message);
+				continue; // Ignore error
+			}
+			if (dev.id === id) {
+				return dev;
+			}
+			await dev.close();
+		}
+		throw new Error('Device not found');
+	}
+}
+
+module.exports = {
+	ProbeRsFlashInterface,
+	ProbeRsDevice
+};
@@ -0,0 +1,126 @@
+'use strict';
+const { ProbeRsFlashInterface } = require('./probers');
+const { StorageType } = require('./platform');
+const { Logger, LogLevel } = require('./log');
+
+const { expect } = require('chai');
+const tmp = require('tmp');
+
+const fs = require('fs');
+const path = require('path');
+
+// Fake probe-rs that prints the probe list passed via FAKE_PROBE_RS_LIST, the chip info passed via
+// FAKE_PROBE_RS_INFO and the contents of the memory passed via FAKE_PROBE_RS_MEMORY. The invocations
+// are logged to FAKE_PROBE_RS_LOG
+const FAKE_PROBE_RS = `#!/usr/bin/env node
+'use strict';
+const fs = require('fs');
+const args = process.argv.slice(2);
+fs.appendFileSync(process.env.FAKE_PROBE_RS_LOG, JSON.stringify(args) + '\\n');
+const env = process.env;
+switch (args[0]) {
+	case 'list': {
+		console.log(env.FAKE_PROBE_RS_LIST);
+		break;
+	}
+	case 'info': {
+		console.log(env.FAKE_PROBE_RS_INFO);
+		break;
+	}
+	case 'read': {
+		const [addr, count] = args.slice(-2);
+		const mem = JSON.parse(env.FAKE_PROBE_RS_MEMORY)[addr];
+		console.log(mem.split(' ').slice(0, Number(count)).join(' '));
+		break;
+	}
+}
+`;
+
+describe('probe-rs flash interface (probers.js)', () => {
+	if (process.platform === 'win32') {
+		return; // The fake probe-rs is a Node.js script
+	}
+
+	let tempDir = null;
+	let logFile = null;
+	let origEnv = null;
+	let flashIf = null;
+
+	function invocations() {
+		return fs.readFileSync(logFile, 'utf8').split('\n').filter(line => !!line).map(line => JSON.parse(line));
+	}
+
+	function argValue(args, name) {
+		return args[args.indexOf(name) + 1];
+	}
+
+	beforeEach(async () => {
+		tempDir = tmp.dirSync({ unsafeCleanup: true });
+		fs.writeFileSync(path.join(tempDir.name, 'probe-rs'), FAKE_PROBE_RS, { mode: 0o755 });
+		logFile = path.join(tempDir.name, 'log.txt');
+		fs.writeFileSync(logFile, '');
+		origEnv = process.env;
+		process.env = {
+			...origEnv,
+			PATH: tempDir.name + path.delimiter + origEnv.PATH,
+			FAKE_PROBE_RS_LOG: logFile,
+			FAKE_PROBE_RS_LIST: [
+				'The following debug probes were found:',
+				'[0]: DAPLink CMSIS-DAP -- 0d28:0204:0240000034544e45 (CMSIS-DAP)',
+				'[1]: hs-probe (VID: 1209, PID: 4853, Serial: 8A7F3B12, CmsisDap)'
+			].join('\n'),
+			FAKE_PROBE_RS_INFO: 'Debug Port: DPv1, Designer: Nordic VLSI ASA',
+			FAKE_PROBE_RS_MEMORY: JSON.stringify({ '0x10000060': '12 34 56 78 9a bc de f0' })
+		};
+		flashIf = new ProbeRsFlashInterface({ log: new Logger({ level: LogLevel.ERROR }) });
+		await flashIf.init();
+	});
+
+	afterEach(() => {
+		process.env = origEnv;
+		tempDir.removeCallback();
+	});
+
+	it('lists the debug probes', async () => {
+		const devs = await flashIf.listDevices();
+		expect(devs.map(dev => dev.serialNumber)).to.deep.equal(['0240000034544e45', '8A7F3B12']);
+		expect(devs.map(dev => dev.adapterInfo.displayName)).to.deep.equal(['DAPLink', 'hs-probe']);
+	});
+
+	it('skips the ignored debug probes', async () => {
+		await flashIf.init({ 'openocd-ignore-adapter': '8A7F3B12' });
+		let devs = await flashIf.listDevices();
+		expect(devs.map(dev => dev.serialNumber)).to.deep.equal(['0240000034544e45']);
+		process.env.OPENOCD_IGNORE_ADAPTER = '0240000034544e45';
+		await flashIf.init();
+		devs = await flashIf.listDevices();
+		expect(devs.map(dev => dev.serialNumber)).to.deep.equal(['8A7F3B12']);
+	});
+
+	it('detects the target platform and reads the device ID', async () => {
+		const [dev] = await flashIf.listDevices();
+		await dev.open();
+		expect(dev.id).to.equal('e00fce68123456789abcdef0');
+		const [, info, read] = invocations();
+		expect(info[0]).to.equal('info');
+		expect(argValue(info, '--probe')).to.equal('0d28:0204:0240000034544e45');
+		expect(read[0]).to.equal('read');
+		expect(argValue(read, '--chip')).to.equal('nRF52840_xxAA');
+		expect(read.slice(-3)).to.deep.equal(['b8', '0x10000060', '8']);
+	});
+
+	it('writes binaries to the flash memory and reads them back', async () => {
+		const [dev] = await flashIf.listDevices();
+		await dev.open();
+		const file = path.join(tempDir.name, 'system-part1.bin');
+		fs.writeFileSync(file, Buffer.alloc(1024));
+		await dev.writeToFlash(file, StorageType.INTERNAL_FLASH, 0x30000);
+		const download = invocations()[3];
+		expect(download[0]).to.equal('download');
+		expect(argValue(download, '--base-address')).to.equal('0x00030000');
+		expect(download[download.length - 1]).to.equal(file);
+		const readFile = path.join(tempDir.name, 'read.bin');
+		await dev.readFromFlash(readFile, StorageType.INTERNAL_FLASH, 0x10000060, 4);
+		expect(fs.readFileSync(readFile)).to.deep.equal(Buffer.from([0x12, 0x34, 0x56, 0x78]));
+	});
+});
@@ -0,0 +1,197 @@
+'use strict';
+const { platformForId } = require('./platform');
+
+const { default: chalk } = require('chalk');
+
+const REDRAW_INTERVAL_MS = 100;
+const BAR_WIDTH = 20;
+
+// Renders the flashing progress of each device as a block of lines at the bottom of the terminal.
+// Log messages and the final state of each device are printed above that block
+class ProgressDisplay {
+	constructor({ stream = process.stderr, log }) {
+		this._stream = stream;
+		this._log = log;
+		this._devs = new Map(); // Device states by device ID
+		this._lineCount = 0; // Number of lines currently displayed
+		this._timer = null;
+		this._active = false;
+	}
+
+	start() {
+		if (!this._active) {
+			this._active = true;
+			this._log.writer = msg => this._writeMessage(msg);
+		}
+	}
+
+	stop() {
+		if (this._active) {
+			this._active = false;
+			this._log.writer = null;
+			if (this._timer) {
+				clearTimeout(this._timer);
+				this._timer = null;
+			}
+			this._redraw(); // Leave the final state on the screen
+			this._lineCount = 0;
+		}
+	}
+
+	// Updates the display with an event emitted by the App instance
+	update(event) {
+		let dev = this._devs.get(event.deviceId);
+		if (!dev) {
+			dev = {
+				id: event.deviceId,
+				platformId: event.platformId,
+				status: 'preparing',
+				file: null,
+				bytes: 0,
+				total: 0,
+				modulesFlashed: 0,
+				error: null
+			};
+			this._devs.set(event.deviceId, dev);
+		}
+		switch (event.type) {
+			case 'module-start': {
+				dev.status = 'flashing';
+				dev.file = event.file;
+				dev.bytes = 0;
+				dev.total = 0;
+				break;
+			}
+			case 'progress': {
+				dev.bytes = event.bytes;
+				dev.total = event.total;
+				break;
+			}
+			case 'module-done': {
+				++dev.modulesFlashed;
+				dev.bytes = dev.total;
+				break;
+			}
+			case 'reset': {
+				dev.status = 'resetting';
+				break;
+			}
+			case 'retry': {
+				dev.status = 'retrying';
+				break;
+			}
+			case 'erase': {
+				dev.status = 'erasing';
+				break;
+			}
+			case 'wait-online': {
+				dev.status = 'waiting';
+				break;
+			}
+			case 'device-done': {
+				dev.status = event.ok ? 'done' : 'failed';
+				dev.error = event.error;
+				break;
+			}
+		}
+		this.start();
+		if (dev.status === 'done' || dev.status === 'failed') {
+			// Print the final state of the device above the block and stop tracking it. Otherwise, the
+			// block would keep growing in watch mode
+			this._devs.delete(dev.id);
+			this._writeMessage(this._formatLine(dev));
+			return;
+		}
+		if (!this._timer) {
+			this._timer = setTimeout(() => {
+				this._timer = null;
+				this._redraw();
+			}, REDRAW_INTERVAL_MS);
+			this._timer.unref();
+		}
+	}
+
+	_writeMessage(msg) {
+		this._clear();
+		this._stream.write(msg + '\n');
+		this._redraw();
+	}
+
+	_redraw() {
+		this._clear();
+		const lines = Array.from(this._devs.values()).map(dev => this._formatLine(dev));
+		for (const line of lines) {
+			this._stream.write(line + '\n');
+		}
+		this._lineCount = lines.length;
+	}
+
+	_clear() {
+		if (this._lineCount) {
+			// Move the cursor to the beginning of the block and clear the screen below it
+			this._stream.write(`\x1b[${this._lineCount}A\x1b[J`);
+			this._lineCount = 0;
+		}
+	}
+
+	_formatLine(dev) {
+		let platform = '';
+		try {
+			platform = platformForId(dev.platformId).name;
+		} catch (_err) {
+			// Ignore error
+		}
+		let line = `${dev.id} ${platform.padEnd(8)} `;
+		let color = s => s;
+		switch (dev.status) {
+			case 'flashing': {
+				const ratio = dev.total ? Math.min(dev.bytes / dev.total, 1) : 0;
+				const filled = Math.round(ratio * BAR_WIDTH);
+				const percent = Math.floor(ratio * 100).toString().padStart(3);
+				line += `[${'='.repeat(filled)}${' '.repeat(BAR_WIDTH - filled)}] ${percent}% ${dev.file}`;
+				break;
+			}
+			case 'resetting': {
+				line += 'Resetting';
+				break;
+			}
+			case 'erasing': {
+				line += 'Erasing';
+				break;
+			}
+			case 'waiting': {
+				line += 'Waiting for the device to come online';
+				break;
+			}
+			case 'retrying': {
+				line += 'Retrying';
+				color = chalk.yellow;
+				break;
+			}
+			case 'done': {
+				line += `Done (${dev.modulesFlashed} modules flashed)`;
+				color = chalk.green;
+				break;
+			}
+			case 'failed': {
+				line += 'Failed' + (dev.error ? ': ' + dev.error.split('\n')[0] : '');
+				color = chalk.red;
+				break;
+			}
+			default: {
+				line += 'Preparing';
+				break;
+			}
+		}
+		// Long lines would wrap and break the cursor movement
+		const columns = this._stream.columns;
+		if (columns && line.length >= columns) {
+			line = line.slice(0, columns - 1);
+		}
+		return color(line);
+	}
+}
+
+module.exports = {
+	ProgressDisplay
+};
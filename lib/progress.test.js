@@ -0,0 +1,71 @@
+'use strict';
+const { ProgressDisplay } = require('./progress');
+const { Logger } = require('./log');
+
+const { expect } = require('chai');
+
+class FakeStream {
+	constructor() {
+		this.data = '';
+		this.columns = 120;
+	}
+
+	write(data) {
+		this.data += data;
+	}
+}
+
+describe('ProgressDisplay', () => {
+	const DEVICE_ID = 'e00fce68ffffffffffffffff';
+	const PLATFORM_ID = 13; // Boron
+
+	function event(type, props) {
+		return { type, deviceId: DEVICE_ID, platformId: PLATFORM_ID, ...props };
+	}
+
+	it('displays the progress of each device', () => {
+		const stream = new FakeStream();
+		const display = new ProgressDisplay({ stream, log: new Logger() });
+		display.update(event('device-start'));
+		display.update(event('module-start', { file: 'boron-system-part1@5.0.0.bin' }));
+		display.update(event('progress', { bytes: 512, total: 1024 }));
+		display.stop();
+		expect(stream.data).to.equal(`${DEVICE_ID} boron    [==========          ]  50% boron-system-part1@5.0.0.bin\n`);
+	});
+
+	it('prints log messages above the progress lines', () => {
+		const stream = new FakeStream();
+		const log = new Logger();
+		const display = new ProgressDisplay({ stream, log });
+		display.update(event('device-start'));
+		log.info('Flashing target devices');
+		expect(log.writer).to.be.a('function');
+		display.stop();
+		expect(log.writer).to.be.null;
+		const lines = stream.data.split('\n');
+		expect(lines[0]).to.contain('Flashing target devices');
+		expect(lines[1]).to.equal(`${DEVICE_ID} boron    Preparing`);
+		// The progress line is cleared before it's redrawn
+		expect(lines[2]).to.equal(`\x1b[1A\x1b[J${DEVICE_ID} boron    Preparing`);
+	});
+
+	it('removes a device from the progress lines once it has been flashed', () => {
+		const stream = new FakeStream();
+		const display = new ProgressDisplay({ stream, log: new Logger() });
+		const OTHER_DEVICE_ID = 'e00fce68eeeeeeeeeeeeeeee';
+		display.update(event('device-start'));
+		display.update(event('device-start', { deviceId: OTHER_DEVICE_ID }));
+		display.update(event('module-done'));
+		display.update(event('device-done', { ok: true }));
+		display.update(event('device-done', { deviceId: OTHER_DEVICE_ID, ok: false, error: 'Timeout' }));
+		expect(display._devs.size).to.equal(0);
+		display.stop();
+		// eslint-disable-next-line no-control-regex
+		const lines = stream.data.split('\n').filter(line => !!line).map(line => line.replace(/\x1b\[[0-9;]*[A-Za-z]/g, ''));
+		expect(lines).to.deep.equal([
+			`${DEVICE_ID} boron    Done (1 modules flashed)`,
+			`${OTHER_DEVICE_ID} boron    Preparing`,
+			`${OTHER_DEVICE_ID} boron    Failed: Timeout`
+		]);
+	});
+});
@@ -0,0 +1,117 @@
+'use strict';
+const { platformForId, platformForName } = require('./platform');
+const { isDeviceId } = require('./util');
+
+const mkdirp = require('mkdirp');
+
+const fs = require('fs');
+const path = require('path');
+
+// Local registry of device names. Allows resolving device names without access to the Particle
+// cloud. The registry is stored as a JSON file of the following format:
+//
+// {
+//   "devices": [
+//     { "id": "e00fce68...", "name": "my_boron", "platform": "boron" }
+//   ]
+// }
+//
+// The platform is optional
+class DeviceRegistry {
+	constructor({ file, log }) {
+		this._log = log;
+		this._file = file;
+		this._devs = []; // Registered devices
+	}
+
+	load() {
+		this._devs = [];
+		if (!fs.existsSync(this._file)) {
+			return;
+		}
+		let data = null;
+		try {
+			data = JSON.parse(fs.readFileSync(this._file, 'utf8'));
+		} catch (err) {
+			throw new Error(`Unable to load device registry: ${this._file}\n${err.message}`);
+		}
+		if (!data || !Array.isArray(data.devices)) {
+			throw new Error(`Invalid device registry file: ${this._file}`);
+		}
+		for (const dev of data.devices) {
+			if (!dev || !isDeviceId(dev.id) || !dev.name || typeof dev.name !== 'string') {
+				throw new Error(`Invalid device registry file: ${this._file}`);
+			}
+			let platformId = null;
+			if (dev.platform) {
+				platformId = platformForName(dev.platform).id;
+			}
+			this._devs.push({ id: dev.id, name: dev.name, platformId });
+		}
+		this._log.debug('Loaded device registry:', this._file);
+	}
+
+	save() {
+		const data = {
+			devices: this._devs.map(dev => ({
+				id: dev.id,
+				name: dev.name,
+				platform: dev.platformId ? platformForId(dev.platformId).name : undefined
+			}))
+		};
+		mkdirp.sync(path.dirname(this._file));
+		fs.writeFileSync(this._file, JSON.stringify(data, null, 2) + '\n');
+	}
+
+	// Adds a device to the registry or updates an existing entry. Returns true if a new device was added
+	add({ id, name, platformId = null }) {
+		if (!isDeviceId(id)) {
+			throw new RangeError(`Invalid device ID: ${id}`);
+		}
+		if (!name || isDeviceId(name)) {
+			throw new RangeError(`Invalid device name: ${name}`);
+		}
+		// Device names are unique within the registry
+		this._devs = this._devs.filter(dev => dev.id === id || dev.name !== name);
+		const dev = this.findById(id);
+		if (dev) {
+			dev.name = name;
+			if (platformId) {
+				dev.platformId = platformId;
+			}
+			return false;
+		}
+		this._devs.push({ id, name, platformId });
+		return true;
+	}
+
+	// Removes a device by ID or name. Returns the removed entry or null if the device is not registered
+	remove(idOrName) {
+		const dev = isDeviceId(idOrName) ? this.findById(idOrName) : this.findByName(idOrName);
+		if (!dev) {
+			return null;
+		}
+		this._devs = this._devs.filter(d => d !== dev);
+		return dev;
+	}
+
+	findById(id) {
+		return this._devs.find(dev => dev.id === id) || null;
+	}
+
+	findByName(name) {
+		return this._devs.find(dev => dev.name === name) || null;
+	}
+
+	get devices() {
+		return this._devs.slice();
+	}
+
+	get file() {
+		return this._file;
+	}
+}
+
+module.exports = {
+	DeviceRegistry
+};
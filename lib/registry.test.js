@@ -0,0 +1,61 @@
+'use strict';
+const { DeviceRegistry } = require('./registry');
+const { Logger, LogLevel } = require('./log');
+const { platformForName } = require('./platform');
+
+const { expect } = require('chai');
+const tmp = require('tmp');
+
+const fs = require('fs');
+const path = require('path');
+
+describe('DeviceRegistry (registry.js)', () => {
+	const log = new Logger({ level: LogLevel.ERROR });
+	const boronId = platformForName('boron').id;
+	let tempDir = null;
+	let file = null;
+
+	beforeEach(() => {
+		tempDir = tmp.dirSync({ unsafeCleanup: true });
+		file = path.join(tempDir.name, 'devices.json');
+	});
+
+	afterEach(() => {
+		tempDir.removeCallback();
+	});
+
+	it('saves and loads the registered devices', () => {
+		let reg = new DeviceRegistry({ file, log });
+		reg.load();
+		expect(reg.devices).to.be.empty;
+		expect(reg.add({ id: 'e00fce68a1b2c3d4e5f60718', name: 'my_boron', platformId: boronId })).to.be.true;
+		expect(reg.add({ id: 'e00fce68a1b2c3d4e5f60719', name: 'my_argon' })).to.be.true;
+		reg.save();
+		expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal({
+			devices: [
+				{ id: 'e00fce68a1b2c3d4e5f60718', name: 'my_boron', platform: 'boron' },
+				{ id: 'e00fce68a1b2c3d4e5f60719', name: 'my_argon' }
+			]
+		});
+		reg = new DeviceRegistry({ file, log });
+		reg.load();
+		expect(reg.findByName('my_boron')).to.deep.equal({ id: 'e00fce68a1b2c3d4e5f60718', name: 'my_boron', platformId: boronId });
+		expect(reg.findById('e00fce68a1b2c3d4e5f60719')).to.have.property('name', 'my_argon');
+	});
+
+	it('keeps device names unique', () => {
+		const reg = new DeviceRegistry({ file, log });
+		reg.add({ id: 'e00fce68a1b2c3d4e5f60718', name: 'bench_1' });
+		reg.add({ id: 'e00fce68a1b2c3d4e5f60719', name: 'bench_2' });
+		expect(reg.add({ id: 'e00fce68a1b2c3d4e5f60719', name: 'bench_1' })).to.be.false;
+		expect(reg.devices).to.deep.equal([{ id: 'e00fce68a1b2c3d4e5f60719', name: 'bench_1', platformId: null }]);
+		expect(reg.remove('bench_1')).to.have.property('id', 'e00fce68a1b2c3d4e5f60719');
+		expect(reg.remove('bench_1')).to.be.null;
+	});
+
+	it('fails if the registry file is invalid', () => {
+		fs.writeFileSync(file, JSON.stringify({ devices: [{ id: 'abc', name: 'my_boron' }] }));
+		const reg = new DeviceRegistry({ file, log });
+		expect(() => reg.load()).to.throw(`Invalid device registry file: ${file}`);
+	});
+});
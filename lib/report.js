@@ -0,0 +1,67 @@
+'use strict';
+const { platformForId } = require('./platform');
+const { sha256File } = require('./util');
+
+const { version: PACKAGE_VERSION } = require('../package.json');
+
+function makeModuleReport(result) {
+	const m = result.module;
+	let sha256 = null;
+	try {
+		sha256 = sha256File(m.file);
+	} catch (_err) {
+		// Ignore error
+	}
+	return {
+		file: m.file,
+		type: m.type,
+		index: m.index,
+		version: m.version,
+		sha256,
+		skipped: result.skipped,
+		durationMs: result.duration,
+		verified: result.verified,
+		retries: result.retries,
+		ok: result.ok,
+		error: result.error
+	};
+}
+
+function makeDeviceReport(flasher, cloudStatus) {
+	const dev = flasher.device;
+	let platform = null;
+	try {
+		platform = platformForId(dev.platformId).name;
+	} catch (_err) {
+		// Ignore error
+	}
+	const modules = flasher.results.map(r => makeModuleReport(r));
+	const cloud = cloudStatus.get(dev.id) || null;
+	return {
+		id: dev.id,
+		platform,
+		platformId: dev.platformId || null,
+		interface: dev.interfaceType,
+		adapterSerial: dev.serialNumber || null,
+		ok: !flasher.error && modules.every(m => m.ok) && (!cloud || cloud.status === 'online'),
+		error: flasher.error ? flasher.error.message : null,
+		modules,
+		cloud: cloud ? { ...cloud } : null
+	};
+}
+
+// `cloudStatus` is a map of the results of the post-flash cloud check by device ID
+function makeRunReport({ flashers, cloudStatus = new Map(), startTime, endTime = new Date() }) {
+	const devices = flashers.map(f => makeDeviceReport(f, cloudStatus));
+	return {
+		toolVersion: PACKAGE_VERSION,
+		startTime: startTime.toISOString(),
+		endTime: endTime.toISOString(),
+		ok: devices.every(d => d.ok),
+		devices
+	};
+}
+
+module.exports = {
+	makeRunReport
+};
@@ -0,0 +1,433 @@
+'use strict';
+const { downloadFile } = require('./download');
+const { Octokit } = require('@octokit/rest');
+const download = require('download');
+const mkdirp = require('mkdirp');
+const fg = require('fast-glob');
+const semver = require('semver');
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { version: PACKAGE_VERSION, name: PACKAGE_NAME } = require('../package.json');
+
+const DEFAULT_REPO_OWNER = 'particle-iot';
+const DEFAULT_REPO_NAME = 'device-os';
+
+const MAX_RELEASES_PER_PAGE = 100;
+
+const USER_AGENT = `${PACKAGE_NAME.split('/').pop()}/${PACKAGE_VERSION}`;
+
+function parseVersionTag(tag) {
+	if (!tag) {
+		return null;
+	}
+	if (tag.startsWith('v')) {
+		tag = tag.slice(1);
+	}
+	return semver.valid(tag);
+}
+
+// GitHub reports asset digests in the form "sha256:<hex>"
+function parseAssetDigest(digest) {
+	if (!digest || !digest.startsWith('sha256:')) {
+		return null;
+	}
+	return digest.slice(7);
+}
+
+// Asset file names are relative paths that may not point outside of the release directory
+function isValidAssetFileName(file) {
+	return (typeof file === 'string' && file !== '' && !path.posix.isAbsolute(file) && !path.win32.isAbsolute(file) &&
+			!file.split(/[\\/]/).includes('..'));
+}
+
+// Returns the path of an asset file in the specified directory
+function assetFilePath(dir, file) {
+	dir = path.resolve(dir);
+	const filePath = path.resolve(dir, file);
+	const relPath = path.relative(dir, filePath);
+	if (!relPath || relPath.split(path.sep)[0] === '..' || path.isAbsolute(relPath)) {
+		throw new Error(`Invalid asset file name: ${file}`);
+	}
+	return filePath;
+}
+
+// Base class for the sources of Device OS release binaries.
+//
+// A release is described by an object with the following properties:
+//   tag: Release tag, or the version number if the source does not use tags.
+//   draft: Whether this is a draft release.
+//   assets: Release assets. Each asset is described by an object with the following properties:
+//     id: Asset ID, or null if the source does not assign IDs to assets.
+//     file: File name of the asset, relative to the release directory.
+//     url: Asset URL or path.
+//     size: Asset size, or null if unknown.
+//     sha256: SHA-256 hash of the asset, or null if unknown.
+class ReleaseSource {
+	constructor({ log }) {
+		this._log = log;
+	}
+
+	async init() {
+	}
+
+	async shutdown() {
+	}
+
+	async getRelease(/* version, options */) {
+		throw new Error('Not implemented');
+	}
+
+	async listVersions() {
+		throw new Error('Not implemented');
+	}
+
+	async downloadAsset(/* asset, dir, { onProgress } */) {
+		throw new Error('Not implemented');
+	}
+
+	// Whether the binaries downloaded from this source should be stored in the module cache
+	get cacheable() {
+		return true;
+	}
+
+	// Name of the cache subdirectory for the binaries downloaded from this source, or null if they
+	// are stored along with the binaries of the default source
+	get cacheKey() {
+		return crypto.createHash('sha256').update(this.name).digest('hex').slice(0, 16);
+	}
+
+	get name() {
+		throw new Error('Not implemented');
+	}
+}
+
+class GitHubReleaseSource extends ReleaseSource {
+	constructor({ owner = DEFAULT_REPO_OWNER, repo = DEFAULT_REPO_NAME, apiUrl = null, log }) {
+		super({ log });
+		this._owner = owner;
+		this._repo = repo;
+		this._apiUrl = apiUrl;
+		this._token = null;
+		this._github = null;
+	}
+
+	async init() {
+		const opts = {};
+		this._token = process.env.GITHUB_TOKEN;
+		if (this._token) {
+			opts.auth = this._token;
+		}
+		if (this._apiUrl) {
+			opts.baseUrl = this._apiUrl;
+		}
+		this._github = new Octokit(opts);
+	}
+
+	async shutdown() {
+		this._github = null;
+	}
+
+	async getRelease(version, { draft = false } = {}) {
+		let release = null;
+		try {
+			const resp = await this._github.repos.getReleaseByTag({ tag: 'v' + version, repo: this._repo, owner: this._owner });
+			release = resp.data;
+		} catch (err) {
+			if (err.status !== 404) {
+				throw err;
+			}
+			try {
+				// Try a tag without 'v'
+				const resp = await this._github.repos.getReleaseByTag({ tag: version, repo: this._repo, owner: this._owner });
+				release = resp.data;
+			} catch (err) {
+				if (err.status !== 404) {
+					throw err;
+				}
+				if (draft) {
+					// Check for draft release before erroring
+					release = await this._findDraftRelease(version);
+				}
+				if (!release) {
+					throw new Error(`Release not found: ${version}`);
+				}
+			}
+		}
+		return {
+			tag: release.tag_name,
+			draft: release.draft,
+			assets: release.assets.map(a => ({
+				id: a.id,
+				file: a.name,
+				url: a.url,
+				size: a.size,
+				sha256: parseAssetDigest(a.digest)
+			}))
+		};
+	}
+
+	async listVersions() {
+		const versions = new Set();
+		let page = 1;
+		for (;;) {
+			const resp = await this._github.repos.listReleases({
+				page,
+				per_page: MAX_RELEASES_PER_PAGE,
+				repo: this._repo,
+				owner: this._owner
+			});
+			if (!resp.data.length) {
+				break;
+			}
+			for (const release of resp.data) {
+				const ver = parseVersionTag(release.tag_name);
+				if (ver) {
+					versions.add(ver);
+				}
+			}
+			++page;
+		}
+		return Array.from(versions.values());
+	}
+
+	async downloadAsset(asset, dir, { onProgress = null } = {}) {
+		const headers = {
+			accept: 'application/octet-stream',
+			'user-agent': USER_AGENT
+		};
+		if (this._token) {
+			headers.authorization = `Bearer ${this._token}`;
+		}
+		mkdirp.sync(dir);
+		await downloadFile(asset.url, assetFilePath(dir, asset.file), {
+			headers,
+			size: asset.size,
+			sha256: asset.sha256,
+			onProgress
+		});
+	}
+
+	get cacheKey() {
+		if (this._owner === DEFAULT_REPO_OWNER && this._repo === DEFAULT_REPO_NAME && !this._apiUrl) {
+			return null;
+		}
+		return super.cacheKey;
+	}
+
+	get name() {
+		let name = `github:${this._owner}/${this._repo}`;
+		if (this._apiUrl) {
+			name += ` (${this._apiUrl})`;
+		}
+		return name;
+	}
+
+	async _findDraftRelease(version) {
+		let page = 1;
+		for (;;) {
+			const resp = await this._github.repos.listReleases({
+				page,
+				per_page: MAX_RELEASES_PER_PAGE,
+				repo: this._repo,
+				owner: this._owner
+			});
+			if (!resp.data.length) {
+				return null;
+			}
+			for (const release of resp.data) {
+				if (release.draft) {
+					const ver = parseVersionTag(release.tag_name);
+					if (ver && semver.eq(ver, version)) {
+						return release;
+					}
+				}
+			}
+			++page;
+		}
+	}
+}
+
+// Releases published on a plain HTTP server. The server is expected to provide an index file at
+// <url>/index.json that has the following format:
+//
+// {
+//   "releases": {
+//     "5.0.0": [
+//       "boron/boron-system-part1@5.0.0.bin",
+//       { "file": "boron/boron-bootloader@5.0.0.bin", "size": 49152, "sha256": "..." }
+//     ]
+//   }
+// }
+//
+// Asset files are downloaded from <url>/<version>/<file>
+class HttpReleaseSource extends ReleaseSource {
+	constructor({ url, log }) {
+		super({ log });
+		this._url = url.replace(/\/+$/, '');
+		this._index = null;
+	}
+
+	async getRelease(version) {
+		const index = await this._getIndex();
+		const files = index.releases[version];
+		if (!files) {
+			throw new Error(`Release not found: ${version}`);
+		}
+		return {
+			tag: version,
+			draft: false,
+			assets: files.map(f => {
+				if (typeof f === 'string') {
+					f = { file: f };
+				}
+				return {
+					id: null,
+					file: f.file,
+					url: `${this._url}/${version}/${f.file}`,
+					size: (f.size !== undefined) ? f.size : null,
+					sha256: f.sha256 || null
+				};
+			})
+		};
+	}
+
+	async listVersions() {
+		const index = await this._getIndex();
+		return Object.keys(index.releases).filter(v => semver.valid(v));
+	}
+
+	async downloadAsset(asset, dir, { onProgress = null } = {}) {
+		const destFile = assetFilePath(dir, asset.file);
+		mkdirp.sync(path.dirname(destFile));
+		await downloadFile(asset.url, destFile, {
+			headers: { 'user-agent': USER_AGENT },
+			size: asset.size,
+			sha256: asset.sha256,
+			onProgress
+		});
+	}
+
+	get name() {
+		return this._url;
+	}
+
+	async _getIndex() {
+		if (!this._index) {
+			const url = `${this._url}/index.json`;
+			this._log.debug('Downloading', url);
+			const data = await download(url, undefined, { headers: { 'user-agent': USER_AGENT } });
+			let index = null;
+			try {
+				index = JSON.parse(data.toString());
+			} catch (err) {
+				throw new Error(`Invalid release index: ${err.message}`);
+			}
+			if (!index || typeof index.releases !== 'object') {
+				throw new Error('Invalid release index: missing list of releases');
+			}
+			for (const files of Object.values(index.releases)) {
+				if (!Array.isArray(files)) {
+					throw new Error('Invalid release index: list of files is not an array');
+				}
+				for (let f of files) {
+					if (f && typeof f === 'object') {
+						f = f.file;
+					}
+					if (!isValidAssetFileName(f)) {
+						throw new Error(`Invalid release index: invalid file name: ${f}`);
+					}
+				}
+			}
+			this._index = index;
+		}
+		return this._index;
+	}
+}
+
+// Releases stored in a local directory. The directory is expected to have the same layout as the
+// module cache: <dir>/<version>/<platform>/*.bin
+class LocalReleaseSource extends ReleaseSource {
+	constructor({ dir, log }) {
+		super({ log });
+		this._dir = path.resolve(dir);
+	}
+
+	async init() {
+		if (!fs.existsSync(this._dir)) {
+			throw new Error(`Directory not found: ${this._dir}`);
+		}
+	}
+
+	async getRelease(version) {
+		const releaseDir = path.join(this._dir, version);
+		if (!fs.existsSync(releaseDir)) {
+			throw new Error(`Release not found: ${version}`);
+		}
+		const files = fg.sync('**/*.{bin,zip}', { cwd: releaseDir, onlyFiles: true });
+		return {
+			tag: version,
+			draft: false,
+			assets: files.map(file => {
+				const absPath = path.join(releaseDir, file);
+				return {
+					id: null,
+					file,
+					url: absPath,
+					size: fs.statSync(absPath).size,
+					sha256: null
+				};
+			})
+		};
+	}
+
+	async listVersions() {
+		const entries = fs.readdirSync(this._dir, { withFileTypes: true });
+		return entries.filter(e => e.isDirectory() && semver.valid(e.name)).map(e => e.name);
+	}
+
+	async downloadAsset(asset, dir) {
+		const destFile = assetFilePath(dir, asset.file);
+		mkdirp.sync(path.dirname(destFile));
+		fs.copyFileSync(asset.url, destFile);
+	}
+
+	get cacheable() {
+		return false; // The binaries are already stored locally
+	}
+
+	get name() {
+		return this._dir;
+	}
+}
+
+// Creates a release source from a string of one of the following forms:
+//   github:<owner>/<repo>  GitHub repository. Set GITHUB_API_URL to use a GitHub Enterprise instance
+//   http[s]://<url>        HTTP server
+//   [file:]<path>          Local directory
+function releaseSourceFromString(str, { log }) {
+	if (str.startsWith('github:')) {
+		const [owner, repo] = str.slice(7).split('/');
+		if (!owner || !repo) {
+			throw new RangeError(`Invalid GitHub repository: ${str}`);
+		}
+		return new GitHubReleaseSource({ owner, repo, apiUrl: process.env.GITHUB_API_URL || null, log });
+	}
+	if (/^https?:\/\//i.test(str)) {
+		return new HttpReleaseSource({ url: str, log });
+	}
+	if (str.startsWith('file:')) {
+		str = str.slice(5);
+	}
+	return new LocalReleaseSource({ dir: str, log });
+}
+
+module.exports = {
+	ReleaseSource,
+	GitHubReleaseSource,
+	HttpReleaseSource,
+	LocalReleaseSource,
+	releaseSourceFromString
+};
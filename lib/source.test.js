@@ -0,0 +1,148 @@
+'use strict';
+const { GitHubReleaseSource, HttpReleaseSource, LocalReleaseSource, releaseSourceFromString } = require('./source');
+const { Logger, LogLevel } = require('./log');
+
+const { expect } = require('chai');
+const mkdirp = require('mkdirp');
+const tmp = require('tmp');
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+describe('Release sources (source.js)', () => {
+	const log = new Logger({ level: LogLevel.ERROR });
+	let tempDir = null;
+
+	beforeEach(() => {
+		tempDir = tmp.dirSync({ unsafeCleanup: true });
+	});
+
+	afterEach(() => {
+		tempDir.removeCallback();
+	});
+
+	describe('releaseSourceFromString', () => {
+		it('creates a release source for a GitHub repository, HTTP server or local directory', () => {
+			expect(releaseSourceFromString('github:acme/device-os', { log })).to.be.an.instanceof(GitHubReleaseSource);
+			expect(releaseSourceFromString('https://example.com/releases', { log })).to.be.an.instanceof(HttpReleaseSource);
+			expect(releaseSourceFromString('file:/opt/releases', { log })).to.be.an.instanceof(LocalReleaseSource);
+			expect(releaseSourceFromString('./releases', { log })).to.be.an.instanceof(LocalReleaseSource);
+		});
+
+		it('uses a separate cache key for each source except the default one', () => {
+			expect(new GitHubReleaseSource({ log }).cacheKey).to.be.null;
+			const keys = ['github:acme/device-os', 'https://example.com/releases', 'https://example.com/mirror']
+				.map(str => releaseSourceFromString(str, { log }).cacheKey);
+			expect(new Set(keys).size).to.equal(3);
+			expect(keys.every(key => /^[0-9a-f]{16}$/.test(key))).to.be.true;
+		});
+
+		it('fails if the GitHub repository is not specified correctly', () => {
+			expect(() => releaseSourceFromString('github:acme', { log })).to.throw('Invalid GitHub repository: github:acme');
+		});
+	});
+
+	describe('LocalReleaseSource', () => {
+		it('lists the releases and their binaries', async () => {
+			const releaseDir = path.join(tempDir.name, 'releases');
+			mkdirp.sync(path.join(releaseDir, '5.0.0', 'boron'));
+			mkdirp.sync(path.join(releaseDir, 'misc'));
+			fs.writeFileSync(path.join(releaseDir, '5.0.0', 'boron', 'boron-system-part1@5.0.0.bin'), Buffer.alloc(16));
+			const source = new LocalReleaseSource({ dir: releaseDir, log });
+			await source.init();
+			expect(await source.listVersions()).to.deep.equal(['5.0.0']);
+			const release = await source.getRelease('5.0.0');
+			expect(release.assets).to.have.lengthOf(1);
+			expect(release.assets[0]).to.include({ file: 'boron/boron-system-part1@5.0.0.bin', size: 16 });
+			const destDir = path.join(tempDir.name, 'downloads');
+			await source.downloadAsset(release.assets[0], destDir);
+			expect(fs.existsSync(path.join(destDir, 'boron', 'boron-system-part1@5.0.0.bin'))).to.be.true;
+		});
+
+		it('fails if the release is not found', async () => {
+			const source = new LocalReleaseSource({ dir: tempDir.name, log });
+			let error = null;
+			try {
+				await source.getRelease('5.0.0');
+			} catch (err) {
+				error = err;
+			}
+			expect(error).to.be.an('error').with.property('message', 'Release not found: 5.0.0');
+		});
+	});
+
+	describe('HttpReleaseSource', () => {
+		const TINKER_SHA256 = '88d4266fd4e6338d13b845fcf289579d209c897823b9217da3e161936f031589'; // SHA-256 of 'abcd'
+		let server = null;
+		let url = null;
+		let indexFiles = null; // Overrides the list of files in the index
+
+		beforeEach(async () => {
+			const files = {
+				'/index.json': JSON.stringify({
+					releases: {
+						'5.0.0': ['boron/boron-system-part1@5.0.0.bin', { file: 'boron/tinker@5.0.0.bin', size: 4, sha256: TINKER_SHA256 }]
+					}
+				}),
+				'/5.0.0/boron/tinker@5.0.0.bin': 'abcd'
+			};
+			server = http.createServer((req, resp) => {
+				let data = files[req.url];
+				if (req.url === '/index.json' && indexFiles) {
+					data = JSON.stringify({ releases: { '5.0.0': indexFiles } });
+				}
+				if (data === undefined) {
+					resp.writeHead(404);
+					resp.end();
+					return;
+				}
+				resp.writeHead(200);
+				resp.end(data);
+			});
+			await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+			url = `http://127.0.0.1:${server.address().port}/`;
+		});
+
+		afterEach(async () => {
+			await new Promise(resolve => server.close(resolve));
+			indexFiles = null;
+		});
+
+		it('gets the list of releases from the index file', async () => {
+			const source = new HttpReleaseSource({ url, log });
+			expect(await source.listVersions()).to.deep.equal(['5.0.0']);
+			const release = await source.getRelease('5.0.0');
+			expect(release.assets).to.deep.equal([
+				{ id: null, file: 'boron/boron-system-part1@5.0.0.bin', url: `${url}5.0.0/boron/boron-system-part1@5.0.0.bin`, size: null, sha256: null },
+				{ id: null, file: 'boron/tinker@5.0.0.bin', url: `${url}5.0.0/boron/tinker@5.0.0.bin`, size: 4, sha256: TINKER_SHA256 }
+			]);
+			await source.downloadAsset(release.assets[1], tempDir.name);
+			expect(fs.readFileSync(path.join(tempDir.name, 'boron', 'tinker@5.0.0.bin'), 'utf8')).to.equal('abcd');
+		});
+
+		it('rejects file names that point outside of the release directory', async () => {
+			for (const file of ['../tinker@5.0.0.bin', 'boron/../../tinker@5.0.0.bin', { file: '/tmp/tinker@5.0.0.bin' }]) {
+				indexFiles = [file];
+				const source = new HttpReleaseSource({ url, log });
+				let error = null;
+				try {
+					await source.getRelease('5.0.0');
+				} catch (err) {
+					error = err;
+				}
+				expect(error).to.be.an('error').with.property('message').that.matches(/^Invalid release index: invalid file name/);
+			}
+			const source = new HttpReleaseSource({ url, log });
+			const asset = { file: '../tinker@5.0.0.bin', url: `${url}5.0.0/boron/tinker@5.0.0.bin`, size: null, sha256: null };
+			let error = null;
+			try {
+				await source.downloadAsset(asset, path.join(tempDir.name, 'release'));
+			} catch (err) {
+				error = err;
+			}
+			expect(error).to.be.an('error').with.property('message', 'Invalid asset file name: ../tinker@5.0.0.bin');
+			expect(fs.existsSync(path.join(tempDir.name, 'tinker@5.0.0.bin'))).to.be.false;
+		});
+	});
+});
@@ -0,0 +1,155 @@
+'use strict';
+const EventEmitter = require('events');
+const net = require('net');
+
+// Messages of the Tcl RPC protocol are terminated with this character
+const MESSAGE_TERMINATOR = '\x1a';
+
+const DEFAULT_CONNECT_TIMEOUT = 10000;
+const DEFAULT_COMMAND_TIMEOUT = 10000;
+
+// Quotes a string so that it's passed to a Tcl command as a single word without substitutions
+function tclQuote(str) {
+	return '"' + str.replace(/[\\"$[\]]/g, c => '\\' + c) + '"';
+}
+
+// Client for the Tcl RPC server of OpenOCD. Unlike the telnet server, it doesn't echo the commands
+// back or print prompts, and the end of each response is marked explicitly. The 'close' event is
+// emitted when the connection is closed after it has been established
+class TclRpcClient extends EventEmitter {
+	constructor() {
+		super();
+		this._socket = null;
+		this._data = ''; // Received data
+		this._pending = null; // Pending request
+	}
+
+	async connect({ host = 'localhost', port, timeout = DEFAULT_CONNECT_TIMEOUT }) {
+		if (this._socket) {
+			throw new Error('Already connected');
+		}
+		const socket = await new Promise((resolve, reject) => {
+			const s = net.connect({ host, port });
+			const timer = setTimeout(() => {
+				s.destroy();
+				reject(new Error('Timeout while connecting to the Tcl RPC server'));
+			}, timeout);
+			s.once('connect', () => {
+				clearTimeout(timer);
+				s.off('error', reject);
+				resolve(s);
+			});
+			s.once('error', err => {
+				clearTimeout(timer);
+				reject(err);
+			});
+		});
+		socket.setEncoding('utf8');
+		socket.on('data', data => this._onData(data));
+		socket.on('error', () => {}); // The 'close' event follows
+		socket.once('close', () => {
+			this._socket = null;
+			this._data = '';
+			if (this._pending) {
+				this._pending.reject(new Error('Tcl RPC connection closed'));
+			}
+			this.emit('close');
+		});
+		this._socket = socket;
+	}
+
+	async end() {
+		if (this._socket) {
+			const closed = new Promise(resolve => this.once('close', resolve));
+			this._socket.end();
+			await closed;
+		}
+	}
+
+	destroy() {
+		if (this._socket) {
+			this._socket.destroy();
+		}
+	}
+
+	// Evaluates a Tcl script and returns its result. The result of a failed command can't be told
+	// apart from a successful one, use command() instead
+	async exec(script, { timeout = DEFAULT_COMMAND_TIMEOUT } = {}) {
+		if (!this._socket) {
+			throw new Error('Not connected');
+		}
+		if (this._pending) {
+			throw new Error('Another command is running');
+		}
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				this._pending = null;
+				reject(new Error('Timeout while waiting for command response'));
+				// A late response would be mistaken for the response to the next command
+				this.destroy();
+			}, timeout);
+			this._pending = {
+				resolve: result => {
+					clearTimeout(timer);
+					this._pending = null;
+					resolve(result);
+				},
+				reject: err => {
+					clearTimeout(timer);
+					this._pending = null;
+					reject(err);
+				}
+			};
+			this._socket.write(script + MESSAGE_TERMINATOR);
+		});
+	}
+
+	// Sends a script without waiting for its result
+	send(script) {
+		if (!this._socket) {
+			throw new Error('Not connected');
+		}
+		this._socket.write(script + MESSAGE_TERMINATOR);
+	}
+
+	// Runs an OpenOCD command and returns its output. Throws an error with the error message
+	// reported by OpenOCD if the command fails
+	async command(cmd, options) {
+		// The status code is returned on the first line of the result, followed by the captured output
+		// of the command or its error message
+		const script = `format "%d\\n%s" [catch {capture ${tclQuote(cmd)}} _rpc_result] $_rpc_result`;
+		const result = await this.exec(script, options);
+		const pos = result.indexOf('\n');
+		const code = Number.parseInt(pos >= 0 ? result.slice(0, pos) : result);
+		const output = (pos >= 0) ? result.slice(pos + 1) : '';
+		if (Number.isNaN(code)) {
+			throw new Error(`Unexpected response: ${result}`);
+		}
+		if (code !== 0) {
+			throw new Error(output.trim() || `Command failed: ${cmd}`);
+		}
+		return output;
+	}
+
+	get isConnected() {
+		return !!this._socket;
+	}
+
+	_onData(data) {
+		this._data += data;
+		let pos = this._data.indexOf(MESSAGE_TERMINATOR);
+		while (pos >= 0) {
+			const msg = this._data.slice(0, pos);
+			this._data = this._data.slice(pos + 1);
+			if (this._pending) {
+				this._pending.resolve(msg);
+			}
+			pos = this._data.indexOf(MESSAGE_TERMINATOR);
+		}
+	}
+}
+
+module.exports = {
+	TclRpcClient,
+	tclQuote
+};
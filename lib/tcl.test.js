@@ -0,0 +1,122 @@
+'use strict';
+const { TclRpcClient, tclQuote } = require('./tcl');
+
+const { expect } = require('chai');
+
+const net = require('net');
+
+// Emulates the Tcl RPC server of OpenOCD. Only the scripts sent by TclRpcClient.command() are
+// supported, the handler receives the unquoted command and returns its output or throws an error
+class FakeTclServer {
+	constructor(handler) {
+		this.commands = [];
+		this._handler = handler;
+		this._server = net.createServer(socket => {
+			let data = '';
+			socket.setEncoding('utf8');
+			socket.on('data', d => {
+				data += d;
+				let pos = data.indexOf('\x1a');
+				while (pos >= 0) {
+					const script = data.slice(0, pos);
+					data = data.slice(pos + 1);
+					const resp = this._eval(script);
+					if (resp !== null) {
+						socket.write(resp + '\x1a');
+					}
+					pos = data.indexOf('\x1a');
+				}
+			});
+		});
+	}
+
+	async listen() {
+		await new Promise(resolve => this._server.listen(0, 'localhost', resolve));
+		return this._server.address().port;
+	}
+
+	async close() {
+		await new Promise(resolve => this._server.close(resolve));
+	}
+
+	_eval(script) {
+		const m = /^format "%d\\n%s" \[catch \{capture "(.*)"\} _rpc_result\] \$_rpc_result$/s.exec(script);
+		if (!m) {
+			return 'invalid command name';
+		}
+		const cmd = m[1].replace(/\\(.)/g, '$1');
+		this.commands.push(cmd);
+		try {
+			const output = this._handler(cmd);
+			return (output === null) ? null : '0\n' + output;
+		} catch (err) {
+			return '1\n' + err.message;
+		}
+	}
+}
+
+describe('Tcl RPC client (tcl.js)', () => {
+	let server = null;
+	let client = null;
+
+	async function connect(handler) {
+		server = new FakeTclServer(handler);
+		const port = await server.listen();
+		client = new TclRpcClient();
+		await client.connect({ port });
+	}
+
+	afterEach(async () => {
+		if (client) {
+			client.destroy();
+			client = null;
+		}
+		if (server) {
+			await server.close();
+			server = null;
+		}
+	});
+
+	describe('tclQuote()', () => {
+		it('escapes the characters that are subject to substitution', () => {
+			expect(tclQuote('program a.bin 0x1000')).to.equal('"program a.bin 0x1000"');
+			expect(tclQuote('echo "[x] $y \\z"')).to.equal('"echo \\"\\[x\\] \\$y \\\\z\\""');
+		});
+	});
+
+	describe('command()', () => {
+		it('returns the output of the command', async () => {
+			await connect(cmd => `output of ${cmd}\n`);
+			expect(await client.command('mdb 0x10000060 8')).to.equal('output of mdb 0x10000060 8\n');
+			expect(await client.command('echo "$a [b]"')).to.equal('output of echo "$a [b]"\n');
+			expect(server.commands).to.deep.equal(['mdb 0x10000060 8', 'echo "$a [b]"']);
+		});
+
+		it('throws an error with the error message reported by OpenOCD', async () => {
+			await connect(() => {
+				throw new Error('** Programming Failed **');
+			});
+			let error = null;
+			try {
+				await client.command('program a.bin 0x1000');
+			} catch (err) {
+				error = err;
+			}
+			expect(error).to.be.an('error').with.property('message', '** Programming Failed **');
+		});
+
+		it('closes the connection if the response is not received in time', async () => {
+			await connect(() => null);
+			const closed = new Promise(resolve => client.once('close', resolve));
+			let error = null;
+			try {
+				await client.command('reset halt', { timeout: 100 });
+			} catch (err) {
+				error = err;
+			}
+			expect(error).to.be.an('error').with.property('message', 'Timeout while waiting for command response');
+			await closed;
+			expect(client.isConnected).to.be.false;
+		});
+	});
+});
@@ -1,14 +1,36 @@
 'use strict';
-const { Device, FlashInterface } = require('./device');
+const { Device, DeviceMode, FlashInterface, InterfaceType } = require('./device');
 const { delay } = require('./util');
 
 const usb = require('particle-usb');
+const { ModuleInfo } = require('binary-version-reader');
 
 const fs = require('fs');
 
 // Flashing an NCP firmware can take a few minutes
 const FLASH_TIMEOUT = 4 * 60 * 1000;
 
+const { FunctionType: ModuleFunction } = ModuleInfo;
+
+// particle-usb reports module types as strings, e.g. SYSTEM_PART
+function moduleFunctionFromString(str) {
+	const func = ModuleFunction[str];
+	return (func !== undefined) ? func : ModuleFunction.NONE;
+}
+
+// Returns the location of a node-usb device in the form <bus>-<port>[.<port>...]
+function usbPortForUsbDevice(d) {
+	if (!d || d.busNumber === undefined || !d.portNumbers) {
+		return null;
+	}
+	return d.busNumber.toString() + '-' + d.portNumbers.join('.');
+}
+
+// Returns the location of a particle-usb device in the form <bus>-<port>[.<port>...]
+function usbPortForDevice(dev) {
+	return usbPortForUsbDevice(dev.usbDevice._dev); // FIXME
+}
+
 async function openUsbDeviceById(id, { timeout = 3000 } = {}) {
 	const t2 = Date.now() + timeout;
 	for (;;) {
@@ -28,8 +50,8 @@ async function openUsbDeviceById(id, { timeout = 3000 } = {}) {
 }
 
 class UsbDevice extends Device {
-	constructor({ id, platformId, device, log }) {
-		super({ id, platformId, log });
+	constructor({ id, platformId, usbPort, device, log }) {
+		super({ id, platformId, usbPort, log });
 		this._dev = device;
 	}
 
@@ -51,6 +73,7 @@ class UsbDevice extends Device {
 		if (!this._dev) {
 			throw new Error('Device is not open');
 		}
+		this.emit('reset');
 		await this._dev.reset();
 	}
 
@@ -73,7 +96,19 @@ class UsbDevice extends Device {
 			throw new Error('Device is not open');
 		}
 		const data = fs.readFileSync(module.file);
-		await this._dev.updateFirmware(data, { timeout: FLASH_TIMEOUT });
+		const total = data.length;
+		let bytes = 0;
+		await this._dev.updateFirmware(data, {
+			timeout: FLASH_TIMEOUT,
+			progress: e => {
+				if (e.event === 'start-download') {
+					this.emit('progress', { bytes: 0, total });
+				} else if (e.event === 'downloaded') {
+					bytes = Math.min(bytes + e.bytes, total);
+					this.emit('progress', { bytes, total });
+				}
+			}
+		});
 		return { resetPending: true };
 	}
 
@@ -81,6 +116,42 @@ class UsbDevice extends Device {
 		throw new Error('Not supported');
 	}
 
+	async getFirmwareModules() {
+		if (!this._dev) {
+			throw new Error('Device is not open');
+		}
+		let mods = await this._dev.getFirmwareModuleInfo();
+		// Ignore modules stored in the factory, backup and scratchpad areas
+		mods = mods.filter(m => !m.store || m.store === 'MAIN');
+		return mods.map(m => ({
+			func: moduleFunctionFromString(m.type),
+			index: m.index,
+			version: m.version,
+			valid: !m.validityErrors || !m.validityErrors.length,
+			validityErrors: m.validityErrors || [],
+			dependencies: m.dependencies.map(d => ({
+				func: moduleFunctionFromString(d.type),
+				index: d.index,
+				version: d.version
+			}))
+		}));
+	}
+
+	async getDeviceMode() {
+		if (!this._dev) {
+			throw new Error('Device is not open');
+		}
+		const mode = await this._dev.getDeviceMode();
+		return DeviceMode[mode] || DeviceMode.UNKNOWN;
+	}
+
+	async getSystemVersion() {
+		if (!this._dev) {
+			throw new Error('Device is not open');
+		}
+		return this._dev.firmwareVersion; // Read by particle-usb when the device is opened
+	}
+
 	canFlashModule(/* module */) {
 		return true;
 	}
@@ -88,6 +159,10 @@ class UsbDevice extends Device {
 	canWriteToFlash(/* storage */) {
 		return false;
 	}
+
+	get interfaceType() {
+		return InterfaceType.USB;
+	}
 }
 
 class UsbFlashInterface extends FlashInterface {
@@ -101,14 +176,17 @@ class UsbFlashInterface extends FlashInterface {
 	async shutdown() {
 	}
 
-	async listDevices() {
+	async listDevices({ ignoredUsbPorts = [] } = {}) {
 		const devs = [];
 		const usbDevs = await usb.getDevices();
 		for (const usbDev of usbDevs) {
+			if (ignoredUsbPorts.includes(usbPortForDevice(usbDev))) {
+				continue;
+			}
 			try {
 				await usbDev.open();
 				const id = usbDev.id;
-				devs.push(new UsbDevice({ id, platformId: usbDev.platformId, log: this._log }));
+				devs.push(new UsbDevice({ id, platformId: usbDev.platformId, usbPort: usbPortForDevice(usbDev), log: this._log }));
 			} catch (_err) {
 				// Ignore error
 			} finally {
@@ -120,11 +198,19 @@ class UsbFlashInterface extends FlashInterface {
 
 	async openDeviceById(id, options) {
 		const usbDev = await openUsbDeviceById(id, options);
-		return new UsbDevice({ id: usbDev.id, platformId: usbDev.platformId, device: usbDev, log: this._log });
+		return new UsbDevice({
+			id: usbDev.id,
+			platformId: usbDev.platformId,
+			usbPort: usbPortForDevice(usbDev),
+			device: usbDev,
+			log: this._log
+		});
 	}
 }
 
 module.exports = {
 	openUsbDeviceById,
+	usbPortForDevice,
+	usbPortForUsbDevice,
 	UsbFlashInterface
 };
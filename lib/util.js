@@ -1,7 +1,9 @@
 'use strict';
 const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
 
-async function execCommand(cmd, args, { timeout = 0 } = {}) {
+async function execCommand(cmd, args, { timeout = 0, onOutput = null } = {}) {
 	return new Promise((resolve, reject) => {
 		let proc = spawn(cmd, args, {
 			stdio: [
@@ -34,10 +36,16 @@ async function execCommand(cmd, args, { timeout = 0 } = {}) {
 		proc.stdout.on('data', d => {
 			stdout += d;
 			output += d;
+			if (onOutput) {
+				onOutput(d.toString());
+			}
 		});
 		proc.stderr.on('data', d => {
 			stderr += d;
 			output += d;
+			if (onOutput) {
+				onOutput(d.toString());
+			}
 		});
 		proc.once('exit', (exitCode, signal) => {
 			if (proc) {
@@ -94,6 +102,22 @@ function toUInt16Hex(num) {
 	return '0x' + num.toString(16).padStart(4, '0');
 }
 
+function sha256File(file) {
+	const hash = crypto.createHash('sha256');
+	hash.update(fs.readFileSync(file));
+	return hash.digest('hex');
+}
+
+function formatSize(bytes) {
+	if (bytes < 1024) {
+		return `${bytes} B`;
+	}
+	if (bytes < 1024 * 1024) {
+		return `${(bytes / 1024).toFixed(1)} KB`;
+	}
+	return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 async function delay(ms) {
 	return new Promise(resolve => setTimeout(() => resolve(), ms));
 }
@@ -106,5 +130,7 @@ module.exports = {
 	isSpace,
 	toUInt32Hex,
 	toUInt16Hex,
+	sha256File,
+	formatSize,
 	delay
 };